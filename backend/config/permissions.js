@@ -0,0 +1,70 @@
+// Named permissions checked by requirePermission(...) and the controllers.
+// Roles (stored in the Role collection) are sets of these.
+export const PERMISSIONS = {
+  'content.create': 'Create movies and series',
+  'content.edit': 'Edit movies and series you added, including seasons, episodes, servers and downloads',
+  'content.edit.any': 'Edit, delete and manage the workflow of titles added by anyone',
+  'content.delete': 'Move titles to the trash',
+  'content.trash': 'View and restore trashed titles',
+  'content.purge': 'Permanently delete titles',
+  'content.submit': 'Submit, withdraw and archive titles in the editorial workflow',
+  'content.publish': 'Approve, reject, unpublish and unarchive titles, and see unpublished titles',
+  'content.revisions': 'View revision history and roll back titles',
+  'import.run': 'Search and import titles from TMDB',
+  'media.upload': 'Upload and delete images',
+  'analytics.view': 'View content analytics',
+  'dashboard.view': 'View the admin dashboard',
+  'ads.manage': 'Create, edit and delete ads',
+  'community.moderate': 'Moderate reviews and comments',
+  'users.manage': 'Manage user accounts, roles, sessions and 2FA',
+  'roles.manage': 'Create and edit roles',
+  'api-keys.manage': 'Issue, edit and revoke API keys',
+  'audit.view': 'View and export the audit log'
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Roles created on startup when missing. System roles can't be deleted and
+// `admin` always holds every permission.
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: PERMISSION_NAMES,
+    isSystem: true
+  },
+  {
+    name: 'moderator',
+    description: 'Adds and maintains content and moderates the community',
+    permissions: [
+      'content.create',
+      'content.edit',
+      'content.delete',
+      'content.submit',
+      'content.revisions',
+      'import.run',
+      'media.upload',
+      'analytics.view',
+      'community.moderate'
+    ],
+    isSystem: false
+  },
+  {
+    name: 'ad-manager',
+    description: 'Manages ads',
+    permissions: ['ads.manage', 'dashboard.view'],
+    isSystem: false
+  },
+  {
+    name: 'user',
+    description: 'Registered member',
+    permissions: [],
+    isSystem: true
+  }
+];
+
+export default {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  DEFAULT_ROLES
+};
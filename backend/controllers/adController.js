@@ -1,5 +1,6 @@
 import { validationResult } from 'express-validator';
 import Ad from '../models/Ad.js';
+import auditService from '../services/auditService.js';
 import { createPagination, buildFilterQuery, createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
 
 // Get all ads with filtering and pagination (Admin)
@@ -383,6 +384,12 @@ export const bulkUpdateAds = async (req, res) => {
       return res.status(400).json(createErrorResponse('Ad IDs are required', 400));
     }
 
+    // Snapshot the affected ads for the audit log
+    const auditFields = Object.keys(data || {});
+    const adsBefore = await Ad.find({ _id: { $in: adIds } })
+      .select(auditService.getProjection(auditFields))
+      .lean();
+
     let result;
     
     switch (action) {
@@ -418,6 +425,18 @@ export const bulkUpdateAds = async (req, res) => {
         return res.status(400).json(createErrorResponse('Invalid action', 400));
     }
 
+    const adsAfter = action === 'delete'
+      ? []
+      : await Ad.find({ _id: { $in: adIds } }).select(auditService.getProjection(auditFields)).lean();
+
+    res.locals.audit = {
+      action: `ads.bulk.${action}`,
+      targetType: 'Ad',
+      before: adsBefore.map(ad => ({ id: ad._id.toString(), ...auditService.summarize(ad, auditFields) })),
+      after: adsAfter.map(ad => ({ id: ad._id.toString(), ...auditService.summarize(ad, auditFields) })),
+      details: { adIds, action, data }
+    };
+
     res.json(createSuccessResponse({
       modifiedCount: result.modifiedCount || result.deletedCount,
       matchedCount: result.matchedCount || adIds.length
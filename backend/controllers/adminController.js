@@ -0,0 +1,458 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import User from '../models/User.js';
+import Ad from '../models/Ad.js';
+import AuditLog from '../models/AuditLog.js';
+import analyticsService from '../services/analyticsService.js';
+import contentCleanupService from '../services/contentCleanupService.js';
+import { createErrorResponse, createSuccessResponse, escapeRegex } from '../utils/helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date bucket formats for time-series grouping
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Most rows a single audit export returns
+const AUDIT_EXPORT_LIMIT = 10000;
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt', 'actorName', 'actorRole', 'action', 'method', 'route', 'path',
+  'statusCode', 'success', 'ip', 'targetType', 'targetId', 'before', 'after', 'details'
+];
+
+// Quote a value for CSV, serializing objects as JSON. Cells that a spreadsheet
+// would read as a formula get a leading apostrophe.
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && !value.toHexString) {
+    text = JSON.stringify(value);
+  }
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Map a URL content type to its model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+// Turn [{ _id, count }] into { [_id]: count }
+const toCountMap = (results) => results.reduce((acc, { _id, count }) => {
+  acc[_id] = count;
+  return acc;
+}, {});
+
+// Totals by adminStatus and type plus engagement sums for one content model
+const getContentStats = async (Model, dateRange) => {
+  const [result] = await Model.aggregate([
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$adminStatus', count: { $sum: 1 } } }],
+        byType: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+        totals: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            views: { $sum: '$views' },
+            likes: { $sum: '$likes' },
+            downloads: { $sum: '$downloads' }
+          }
+        }],
+        addedInRange: [
+          { $match: { createdAt: dateRange } },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { total: 0, views: 0, likes: 0, downloads: 0 };
+
+  return {
+    total: totals.total,
+    byStatus: toCountMap(result.byStatus),
+    byType: toCountMap(result.byType),
+    views: totals.views,
+    likes: totals.likes,
+    downloads: totals.downloads,
+    addedInRange: result.addedInRange[0]?.count || 0
+  };
+};
+
+// Get dashboard statistics (Admin)
+export const getDashboardStats = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { interval = 'day', topLimit = 10 } = req.query;
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate ? new Date(req.query.startDate) : new Date(endDate.getTime() - 30 * DAY_MS);
+
+    if (startDate > endDate) {
+      return res.status(400).json(createErrorResponse('Start date must be before end date', 400));
+    }
+
+    const dateRange = { $gte: startDate, $lte: endDate };
+    const limitNum = parseInt(topLimit);
+
+    const [
+      movieStats,
+      seriesStats,
+      userStats,
+      newUsers,
+      topMovies,
+      topSeries,
+      draftMovies,
+      draftSeries,
+      adStats,
+      activity,
+      trendingInRange
+    ] = await Promise.all([
+      getContentStats(Movie, dateRange),
+      getContentStats(Series, dateRange),
+      User.aggregate([
+        {
+          $facet: {
+            byRole: [{ $group: { _id: '$role', count: { $sum: 1 } } }],
+            totals: [{
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                active: { $sum: { $cond: ['$isActive', 1, 0] } }
+              }
+            }],
+            newInRange: [
+              { $match: { createdAt: dateRange } },
+              { $count: 'count' }
+            ]
+          }
+        }
+      ]),
+      User.aggregate([
+        { $match: { createdAt: dateRange } },
+        {
+          $group: {
+            _id: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt' } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      Movie.find({ adminStatus: 'Published' })
+        .sort({ views: -1 })
+        .limit(limitNum)
+        .select('title slug posterPath type views likes downloads')
+        .lean(),
+      Series.find({ adminStatus: 'Published' })
+        .sort({ views: -1 })
+        .limit(limitNum)
+        .select('title slug posterPath type views likes downloads')
+        .lean(),
+      Movie.find({ adminStatus: { $in: ['Draft', 'Pending'] } })
+        .sort({ createdAt: 1 })
+        .limit(5)
+        .select('title slug adminStatus createdAt')
+        .populate('addedBy', 'username')
+        .lean(),
+      Series.find({ adminStatus: { $in: ['Draft', 'Pending'] } })
+        .sort({ createdAt: 1 })
+        .limit(5)
+        .select('title slug adminStatus createdAt')
+        .populate('addedBy', 'username')
+        .lean(),
+      Ad.aggregate([
+        {
+          $group: {
+            _id: null,
+            totalAds: { $sum: 1 },
+            activeAds: { $sum: { $cond: ['$isActive', 1, 0] } },
+            impressions: { $sum: '$impressions' },
+            clicks: { $sum: '$clicks' },
+            revenue: { $sum: '$revenue' }
+          }
+        }
+      ]),
+      analyticsService.getSummary({ startDate, endDate, format: INTERVAL_FORMATS[interval] }),
+      analyticsService.getTop({ metric: 'views', startDate, endDate, limit: limitNum })
+    ]);
+
+    const users = userStats[0];
+    const userTotals = users.totals[0] || { total: 0, active: 0 };
+    const ads = adStats[0] || { totalAds: 0, activeAds: 0, impressions: 0, clicks: 0, revenue: 0 };
+    delete ads._id;
+
+    const topContent = [
+      ...topMovies.map(movie => ({ ...movie, contentType: 'Movie' })),
+      ...topSeries.map(series => ({ ...series, contentType: 'Series' }))
+    ]
+      .sort((a, b) => b.views - a.views)
+      .slice(0, limitNum);
+
+    const draftBacklog = {
+      movies: (movieStats.byStatus.Draft || 0) + (movieStats.byStatus.Pending || 0),
+      series: (seriesStats.byStatus.Draft || 0) + (seriesStats.byStatus.Pending || 0),
+      oldest: [
+        ...draftMovies.map(movie => ({ ...movie, contentType: 'Movie' })),
+        ...draftSeries.map(series => ({ ...series, contentType: 'Series' }))
+      ]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .slice(0, 5)
+    };
+    draftBacklog.total = draftBacklog.movies + draftBacklog.series;
+
+    res.json(createSuccessResponse({
+      stats: {
+        totalMovies: movieStats.total,
+        totalSeries: seriesStats.total,
+        totalUsers: userTotals.total,
+        totalViews: movieStats.views + seriesStats.views,
+        totalLikes: movieStats.likes + seriesStats.likes,
+        totalDownloads: movieStats.downloads + seriesStats.downloads
+      },
+      content: {
+        movies: movieStats,
+        series: seriesStats
+      },
+      users: {
+        total: userTotals.total,
+        active: userTotals.active,
+        byRole: toCountMap(users.byRole),
+        newInRange: users.newInRange[0]?.count || 0,
+        newOverTime: newUsers.map(({ _id, count }) => ({ date: _id, count }))
+      },
+      activity: {
+        ...activity,
+        topContent: trendingInRange
+      },
+      draftBacklog,
+      // Lifetime counters, not limited to the date range (ads keep no per-day history)
+      allTime: {
+        topContent,
+        ads: {
+          ...ads,
+          ctr: ads.impressions > 0 ? Number(((ads.clicks / ads.impressions) * 100).toFixed(2)) : 0
+        }
+      },
+      range: {
+        startDate,
+        endDate,
+        interval
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch dashboard stats', 500, error.message));
+  }
+};
+
+// List trashed movies or series (Admin)
+export const getTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, search } = req.query;
+    const { Model } = getContentModel(req.params.type);
+
+    const query = { deletedAt: { $ne: null } };
+    if (search) {
+      query.title = { $regex: search, $options: 'i' };
+    }
+
+    const result = await Model.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { deletedAt: -1 },
+      select: 'title slug posterPath adminStatus deletedAt deletedBy addedBy',
+      populate: [
+        { path: 'deletedBy', select: 'username' },
+        { path: 'addedBy', select: 'username' }
+      ],
+      lean: true
+    });
+
+    const items = result.docs.map(item => ({
+      ...item,
+      purgeAt: contentCleanupService.getPurgeDate(item.deletedAt)
+    }));
+
+    res.json(createSuccessResponse({
+      items,
+      retentionDays: contentCleanupService.getTrashRetentionDays(),
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalItems: result.totalDocs,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage,
+        limit: result.limit
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch trash', 500, error.message));
+  }
+};
+
+// Restore a trashed movie or series (Admin)
+export const restoreFromTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { contentType, Model } = getContentModel(req.params.type);
+
+    const item = await Model.findOne({ _id: req.params.id }).onlyDeleted();
+    if (!item) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found in trash`, 404));
+    }
+
+    item.lastModifiedBy = req.user._id;
+    await item.restore();
+
+    res.json(createSuccessResponse({
+      id: item._id,
+      slug: item.slug,
+      adminStatus: item.adminStatus
+    }, `${contentType} restored successfully`));
+
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    res.status(500).json(createErrorResponse('Failed to restore content', 500, error.message));
+  }
+};
+
+// Permanently delete a trashed movie or series (Admin)
+export const purgeFromTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { contentType, Model } = getContentModel(req.params.type);
+
+    const item = await Model.findOne({ _id: req.params.id }).onlyDeleted();
+    if (!item) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found in trash`, 404));
+    }
+
+    const cleanup = await contentCleanupService.purge(contentType, item);
+
+    res.json(createSuccessResponse({ cleanup }, `${contentType} permanently deleted`));
+
+  } catch (error) {
+    console.error('Purge from trash error:', error);
+    res.status(500).json(createErrorResponse('Failed to delete content', 500, error.message));
+  }
+};
+
+// List or export audit log entries (Admin)
+export const getAuditLog = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      actor,
+      action,
+      targetType,
+      targetId,
+      method,
+      success,
+      startDate,
+      endDate,
+      search,
+      format = 'json'
+    } = req.query;
+
+    const query = {};
+    if (actor) query.actor = actor;
+    // "movies" matches movies.update, movies.servers.create, ...
+    if (action) query.action = { $regex: `^${escapeRegex(action)}` };
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+    if (method) query.method = method;
+    if (success !== undefined) query.success = success === 'true';
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [
+        { path: pattern },
+        { actorName: pattern }
+      ];
+    }
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .limit(AUDIT_EXPORT_LIMIT)
+        .lean();
+
+      const rows = entries.map(entry => AUDIT_CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(','));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send([AUDIT_CSV_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    const result = await AuditLog.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: { path: 'actor', select: 'username email role' },
+      lean: true
+    });
+
+    res.json(createSuccessResponse({
+      entries: result.docs,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalItems: result.totalDocs,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage,
+        limit: result.limit
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch audit log', 500, error.message));
+  }
+};
+
+export default {
+  getDashboardStats,
+  getAuditLog,
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash
+};
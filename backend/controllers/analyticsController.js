@@ -0,0 +1,241 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import Like from '../models/Like.js';
+import analyticsService from '../services/analyticsService.js';
+import viewCounterService from '../services/viewCounterService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Resolve the :type route param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+// Find the episode subdocument for a season/episode number pair
+const findEpisode = (series, seasonNumber, episodeNumber) => {
+  const season = series.seasons.find(s => s.seasonNumber == seasonNumber);
+  return season ? season.episodes.find(e => e.episodeNumber == episodeNumber) : null;
+};
+
+// Get daily activity history for a movie or series (Admin/Moderator)
+export const getContentHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { startDate, endDate } = req.query;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findById(id).select('title slug');
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    const { history, totals } = await analyticsService.getHistory({
+      contentType,
+      contentId: content._id,
+      startDate,
+      endDate
+    });
+
+    res.json(createSuccessResponse({ content, contentType, history, totals }));
+
+  } catch (error) {
+    console.error('Get content history error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch content analytics', 500, error.message));
+  }
+};
+
+// Get daily activity history for a single episode (Admin/Moderator)
+export const getEpisodeHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id, seasonNumber, episodeNumber } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const series = await Series.findById(id).select('title slug seasons');
+    if (!series) {
+      return res.status(404).json(createErrorResponse('Series not found', 404));
+    }
+
+    const episode = findEpisode(series, seasonNumber, episodeNumber);
+    if (!episode) {
+      return res.status(404).json(createErrorResponse('Episode not found', 404));
+    }
+
+    const { history, totals } = await analyticsService.getHistory({
+      contentType: 'Series',
+      contentId: series._id,
+      episodeId: episode._id,
+      startDate,
+      endDate
+    });
+
+    res.json(createSuccessResponse({
+      series: { id: series._id, title: series.title, slug: series.slug },
+      episode: { id: episode._id, seasonNumber: parseInt(seasonNumber), episodeNumber: episode.episodeNumber, title: episode.title },
+      history,
+      totals
+    }));
+
+  } catch (error) {
+    console.error('Get episode history error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch episode analytics', 500, error.message));
+  }
+};
+
+// Get the most active titles over a date window (Admin/Moderator)
+export const getTopContent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { metric = 'views', type, startDate, endDate, limit = 10 } = req.query;
+
+    const top = await analyticsService.getTop({
+      metric,
+      contentType: type ? getContentModel(type).contentType : undefined,
+      startDate,
+      endDate,
+      limit: parseInt(limit)
+    });
+
+    res.json(createSuccessResponse({ top, metric }));
+
+  } catch (error) {
+    console.error('Get top content error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch top content', 500, error.message));
+  }
+};
+
+// Load the published title (and optional episode) a download or like is for
+const findEventTarget = async (req) => {
+  const { type, id } = req.params;
+  const { seasonNumber, episodeNumber } = req.body;
+  const { contentType, Model } = getContentModel(type);
+
+  const content = await Model.findOne({ _id: id, adminStatus: 'Published' });
+  if (!content) {
+    return { error: `${contentType} not found` };
+  }
+
+  let episodeId = null;
+  if (contentType === 'Series' && seasonNumber !== undefined && episodeNumber !== undefined) {
+    const episode = findEpisode(content, seasonNumber, episodeNumber);
+    if (!episode) {
+      return { error: 'Episode not found' };
+    }
+    episodeId = episode._id;
+  }
+
+  return { contentType, Model, content, episodeId };
+};
+
+// Record a download, once per visitor per dedup window like views (Public)
+export const recordDownload = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { error, contentType, Model, content, episodeId } = await findEventTarget(req);
+    if (error) {
+      return res.status(404).json(createErrorResponse(error, 404));
+    }
+
+    const target = { contentType, contentId: content._id, episodeId };
+    const counted = viewCounterService.shouldCount(req)
+      && await viewCounterService.claim(viewCounterService.getVisitorId(req), target, 'download');
+
+    if (counted) {
+      await Model.updateOne({ _id: content._id }, { $inc: { downloads: 1 } });
+      analyticsService.track('download', target);
+    }
+
+    res.json(createSuccessResponse({ downloads: content.downloads + (counted ? 1 : 0), counted }));
+
+  } catch (error) {
+    console.error('Record download error:', error);
+    res.status(500).json(createErrorResponse('Failed to record download', 500, error.message));
+  }
+};
+
+// Like a title; each user can like a title once (Authenticated)
+export const recordLike = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { error, contentType, Model, content, episodeId } = await findEventTarget(req);
+    if (error) {
+      return res.status(404).json(createErrorResponse(error, 404));
+    }
+
+    // The unique index decides, so concurrent requests can't count twice
+    try {
+      await Like.create({ user: req.user._id, contentType, contentId: content._id, episodeId });
+    } catch (createError) {
+      if (createError.code !== 11000) throw createError;
+      return res.status(409).json(createErrorResponse(`You have already liked this ${contentType.toLowerCase()}`, 409));
+    }
+
+    await Model.updateOne({ _id: content._id }, { $inc: { likes: 1 } });
+    analyticsService.track('like', { contentType, contentId: content._id, episodeId });
+
+    res.json(createSuccessResponse({ likes: content.likes + 1, liked: true }));
+
+  } catch (error) {
+    console.error('Record like error:', error);
+    res.status(500).json(createErrorResponse('Failed to record like', 500, error.message));
+  }
+};
+
+// Remove your like from a title (Authenticated)
+export const removeLike = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { contentType, Model } = getContentModel(req.params.type);
+
+    const like = await Like.findOneAndDelete({ user: req.user._id, contentType, contentId: req.params.id });
+    if (!like) {
+      return res.status(404).json(createErrorResponse('Like not found', 404));
+    }
+
+    await Model.updateOne({ _id: like.contentId, likes: { $gt: 0 } }, { $inc: { likes: -1 } });
+    // Daily buckets count net likes, so the unlike comes off the bucket's total
+    analyticsService.track('like', { contentType, contentId: like.contentId, episodeId: like.episodeId, count: -1 });
+
+    const content = await Model.findById(like.contentId).select('likes');
+
+    res.json(createSuccessResponse({ likes: content ? content.likes : 0, liked: false }));
+
+  } catch (error) {
+    console.error('Remove like error:', error);
+    res.status(500).json(createErrorResponse('Failed to remove like', 500, error.message));
+  }
+};
+
+export default {
+  getContentHistory,
+  getEpisodeHistory,
+  getTopContent,
+  recordDownload,
+  recordLike,
+  removeLike
+};
@@ -0,0 +1,181 @@
+import { validationResult } from 'express-validator';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+const formatPagination = (result) => ({
+  currentPage: result.page,
+  totalPages: result.totalPages,
+  totalItems: result.totalDocs,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  limit: result.limit
+});
+
+const KEY_POPULATE = [
+  { path: 'user', select: 'username email role isActive' },
+  { path: 'createdBy', select: 'username' },
+  { path: 'revokedBy', select: 'username' }
+];
+
+// List API keys (Admin)
+export const getApiKeys = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, status, user } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (user) {
+      query.user = user;
+    }
+    if (status === 'active') {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      query.revokedAt = null;
+      query.expiresAt = { $lte: now };
+    }
+
+    const result = await ApiKey.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: KEY_POPULATE,
+      lean: true
+    });
+
+    res.json(createSuccessResponse({
+      apiKeys: result.docs,
+      pagination: formatPagination(result)
+    }));
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch API keys', 500, error.message));
+  }
+};
+
+// Get one API key with its usage (Admin)
+export const getApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id).populate(KEY_POPULATE);
+    if (!apiKey) {
+      return res.status(404).json(createErrorResponse('API key not found', 404));
+    }
+
+    res.json(createSuccessResponse({ apiKey }));
+
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch API key', 500, error.message));
+  }
+};
+
+// Issue a key for a user, defaulting to the caller. The key is only returned here (Admin)
+export const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { name, scopes, userId, rateLimitPerMinute = null, expiresAt = null } = req.body;
+
+    const user = await User.findById(userId || req.user._id);
+    if (!user || !user.isActive) {
+      return res.status(404).json(createErrorResponse('User not found or inactive', 404));
+    }
+
+    const { apiKey, key } = await apiKeyService.create({
+      name,
+      user: user._id,
+      scopes,
+      rateLimitPerMinute,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json(createSuccessResponse(
+      { apiKey, key },
+      'API key created. Copy it now; it will not be shown again.'
+    ));
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json(createErrorResponse('Failed to create API key', 500, error.message));
+  }
+};
+
+// Rename a key or change its scopes, rate limit or expiry (Admin)
+export const updateApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json(createErrorResponse('API key not found', 404));
+    }
+    if (apiKey.revokedAt) {
+      return res.status(409).json(createErrorResponse('Revoked keys cannot be changed', 409));
+    }
+
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+    if (name !== undefined) apiKey.name = name;
+    if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+    if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt;
+
+    await apiKey.save();
+
+    res.json(createSuccessResponse({ apiKey }, 'API key updated'));
+
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json(createErrorResponse('Failed to update API key', 500, error.message));
+  }
+};
+
+// Revoke a key; it stays listed for the record (Admin)
+export const revokeApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const apiKey = await apiKeyService.revoke(req.params.id, req.user._id);
+
+    res.json(createSuccessResponse({ apiKey }, 'API key revoked'));
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createErrorResponse(error.message, error.statusCode));
+    }
+    console.error('Revoke API key error:', error);
+    res.status(500).json(createErrorResponse('Failed to revoke API key', 500, error.message));
+  }
+};
+
+export default {
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+};
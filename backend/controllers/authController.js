@@ -1,6 +1,52 @@
 import { validationResult } from 'express-validator';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import auditService from '../services/auditService.js';
+import mailService from '../services/mailService.js';
+import permissionService from '../services/permissionService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import userTokenService from '../services/userTokenService.js';
+
+// Email a fresh verification link; mail failures are logged, not thrown
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await userTokenService.issue(user._id, 'email-verification');
+    await mailService.sendEmailVerification(user, token, userTokenService.getTtlMinutes('email-verification'));
+    return true;
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message);
+    return false;
+  }
+};
+
+// Response for a login that still needs its second factor. Users who must
+// use 2FA but haven't set it up get enrollment details to finish it in the same step.
+const createTwoFactorChallenge = async (user) => {
+  const data = {
+    twoFactorRequired: true,
+    enrollmentRequired: !user.twoFactor.enabled,
+    challengeToken: twoFactorService.createChallenge(user)
+  };
+
+  if (!user.twoFactor.enabled) {
+    data.enrollment = await twoFactorService.beginEnrollment(user);
+  }
+
+  return {
+    success: true,
+    message: data.enrollmentRequired
+      ? 'Two-factor authentication must be set up to continue'
+      : 'Enter your two-factor authentication code',
+    data
+  };
+};
+
+// Response for a login attempt on a locked account
+const createLockedResponse = (user) => ({
+  success: false,
+  message: 'Account is temporarily locked after too many failed login attempts. Please try again later.',
+  data: { lockUntil: user.lockUntil }
+});
 
 // Register a new user
 export const register = async (req, res) => {
@@ -39,20 +85,17 @@ export const register = async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
-
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.create(user, req);
 
     // Update last login
     await user.updateLastLogin();
 
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your account.',
       data: {
         user: {
           id: user._id,
@@ -60,7 +103,8 @@ export const register = async (req, res) => {
           email: user.email,
           role: user.role,
           avatar: user.avatar,
-          preferences: user.preferences
+          preferences: user.preferences,
+          emailVerified: user.emailVerified
         },
         accessToken,
         refreshToken
@@ -93,7 +137,7 @@ export const login = async (req, res) => {
     const { email, password } = req.body;
 
     // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password +refreshToken');
+    const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
       return res.status(401).json({
@@ -110,23 +154,36 @@ export const login = async (req, res) => {
       });
     }
 
+    // Only staff accounts are locked out; anyone could lock a regular user out
+    // by guessing their email, and public logins are rate limited instead
+    const lockable = permissionService.isStaff(user);
+
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
 
+    // Wrong passwords get the same answer whether or not the account is locked
     if (!isPasswordValid) {
+      if (lockable) {
+        await user.registerFailedLogin();
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    // Refuse logins while locked out
+    if (lockable && user.isLocked()) {
+      return res.status(423).json(createLockedResponse(user));
+    }
+
+    // Second step for accounts with 2FA
+    if (user.twoFactor.enabled || twoFactorService.isRequired(user)) {
+      return res.json(await createTwoFactorChallenge(user));
+    }
 
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.create(user, req);
 
     // Update last login
     await user.updateLastLogin();
@@ -142,6 +199,7 @@ export const login = async (req, res) => {
           role: user.role,
           avatar: user.avatar,
           preferences: user.preferences,
+          emailVerified: user.emailVerified,
           lastLogin: user.lastLogin
         },
         accessToken,
@@ -171,24 +229,8 @@ export const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    const user = await User.findById(decoded.id).select('+refreshToken');
-
-    if (!user || user.refreshToken !== refreshToken || !user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
-
-    // Generate new tokens
-    const newAccessToken = user.generateAuthToken();
-    const newRefreshToken = user.generateRefreshToken();
-
-    // Update refresh token
-    user.refreshToken = newRefreshToken;
-    await user.save({ validateBeforeSave: false });
+    // Rotate the session's refresh token
+    const { accessToken: newAccessToken, refreshToken: newRefreshToken } = await sessionService.rotate(refreshToken, req);
 
     res.json({
       success: true,
@@ -200,6 +242,12 @@ export const refreshToken = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Token refresh error:', error);
     res.status(401).json({
       success: false,
@@ -212,13 +260,9 @@ export const refreshToken = async (req, res) => {
 // Logout user
 export const logout = async (req, res) => {
   try {
-    const user = req.user;
-
-    if (user) {
-      // Clear refresh token
-      await User.findByIdAndUpdate(user._id, { 
-        refreshToken: null 
-      });
+    // End this device's session
+    if (req.sessionId) {
+      await sessionService.revoke(req.sessionId, 'logout', req.user._id);
     }
 
     res.json({
@@ -247,7 +291,10 @@ export const getProfile = async (req, res) => {
 
     res.json({
       success: true,
-      data: { user }
+      data: {
+        user,
+        permissions: permissionService.getPermissions(user.role)
+      }
     });
 
   } catch (error) {
@@ -345,9 +392,8 @@ export const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // Clear all refresh tokens to force re-login
-    user.refreshToken = null;
-    await user.save({ validateBeforeSave: false });
+    // End all sessions to force re-login
+    await sessionService.revokeAllForUser(user._id, 'password-change');
 
     res.json({
       success: true,
@@ -364,109 +410,440 @@ export const changePassword = async (req, res) => {
   }
 };
 
-// Admin login with special credentials
-export const adminLogin = async (req, res) => {
+// List the current user's signed-in devices
+export const getSessions = async (req, res) => {
   try {
-    const { email, password, adminKey } = req.body;
+    const sessions = await sessionService.listForUser(req.user._id);
 
-    // Verify admin key
-    if (adminKey !== process.env.ADMIN_SECRET_KEY) {
-      return res.status(401).json({
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sign out one of the current user's devices
+export const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid admin credentials'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if it's the master admin account
-    if (email === process.env.ADMIN_EMAIL && password === process.env.ADMIN_PASSWORD) {
-      // Create or get admin user
-      let adminUser = await User.findOne({ email: process.env.ADMIN_EMAIL });
-      
-      if (!adminUser) {
-        adminUser = new User({
-          username: 'admin',
-          email: process.env.ADMIN_EMAIL,
-          password: process.env.ADMIN_PASSWORD,
-          role: 'admin',
-          isActive: true
-        });
-        await adminUser.save();
+    const revoked = await sessionService.revoke(req.params.sessionId, 'user', req.user._id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sign out every device except the current one
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await sessionService.revokeAllForUser(req.user._id, 'user', {
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { revokedCount }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Request a password reset link. The response is the same whether or not the
+// email belongs to an account.
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      try {
+        const token = await userTokenService.issue(user._id, 'password-reset');
+        await mailService.sendPasswordReset(user, token, userTokenService.getTtlMinutes('password-reset'));
+      } catch (error) {
+        console.error('Failed to send password reset email:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Set a new password with a reset token; ends all existing sessions
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await userTokenService.consume(token, 'password-reset');
+    const user = resetToken && await User.findById(resetToken.user).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    user.tokensInvalidatedAt = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    // Receiving the reset link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await userTokenService.revokeAll(user._id, 'password-reset');
+    await sessionService.revokeAllForUser(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Confirm an email address with a verification token
+export const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verificationToken = await userTokenService.consume(req.body.token, 'email-verification');
+    const user = verificationToken && await User.findById(verificationToken.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt
       }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send a new verification link to the current user
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
 
-      // Generate tokens
-      const accessToken = adminUser.generateAuthToken();
-      const refreshToken = adminUser.generateRefreshToken();
-
-      // Save refresh token
-      adminUser.refreshToken = refreshToken;
-      await adminUser.save({ validateBeforeSave: false });
-      await adminUser.updateLastLogin();
-
-      return res.json({
-        success: true,
-        message: 'Admin login successful',
-        data: {
-          user: {
-            id: adminUser._id,
-            username: adminUser.username,
-            email: adminUser.email,
-            role: adminUser.role,
-            lastLogin: adminUser.lastLogin
-          },
-          accessToken,
-          refreshToken
-        }
-      });
-    }
-
-    // Regular admin user login
-    const user = await User.findOne({ email, role: 'admin' }).select('+password');
+    const sent = await sendVerificationEmail(req.user);
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send verification email, please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Admin panel login for staff (any role with permissions). The first admin is
+// created with `npm run create-admin`; others get roles through the user management API.
+export const adminLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    const account = await User.findOne({ email }).select('+password');
+    const user = account && permissionService.isStaff(account) ? account : null;
     
     if (!user || !user.isActive) {
+      await auditService.logEvent(req, {
+        action: 'auth.admin-login',
+        success: false,
+        statusCode: 401,
+        targetType: user ? 'User' : null,
+        targetId: user?._id || null,
+        details: { email, reason: user ? 'Account inactive' : 'Unknown admin account' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid admin credentials'
       });
     }
 
+    // The password is checked first so the lock is only revealed to someone who knows it
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      await auditService.logEvent(req, {
+        action: 'auth.admin-login',
+        success: false,
+        statusCode: 401,
+        targetType: 'User',
+        targetId: user._id,
+        details: { email, reason: 'Wrong password', failedAttempts: user.failedLoginAttempts, locked: user.isLocked() }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid admin credentials'
       });
     }
 
-    // Generate tokens
-    const accessToken = user.generateAuthToken();
-    const refreshToken = user.generateRefreshToken();
+    if (user.isLocked()) {
+      await auditService.logEvent(req, {
+        action: 'auth.admin-login',
+        success: false,
+        statusCode: 423,
+        targetType: 'User',
+        targetId: user._id,
+        details: { email, reason: 'Account locked' }
+      });
+      return res.status(423).json(createLockedResponse(user));
+    }
 
-    // Save refresh token
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    await auditService.logEvent(req, {
+      action: 'auth.admin-login',
+      actor: user,
+      statusCode: 200,
+      targetType: 'User',
+      targetId: user._id,
+      details: { email, nextStep: '2fa' }
+    });
+
+    // Tokens are issued by /2fa/verify
+    res.json(await createTwoFactorChallenge(user));
+
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Admin login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Second login step: exchange a challenge token and a 2FA code for tokens.
+// Completes enrollment when the challenge came with enrollment details.
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code } = req.body;
+    const user = await twoFactorService.loadChallengeUser(challengeToken);
+
+    if (user.isLocked()) {
+      return res.status(423).json(createLockedResponse(user));
+    }
+
+    const enrolling = !user.twoFactor.enabled;
+    const backupCodes = enrolling ? await twoFactorService.confirmEnrollment(user, code) : null;
+    const method = enrolling ? (backupCodes && 'totp') : await twoFactorService.verify(user, code);
+
+    if (!method) {
+      await user.registerFailedLogin();
+      await auditService.logEvent(req, {
+        action: 'auth.2fa-verify',
+        actor: user,
+        success: false,
+        statusCode: 401,
+        targetType: 'User',
+        targetId: user._id,
+        details: { enrolling, reason: 'Invalid code', failedAttempts: user.failedLoginAttempts, locked: user.isLocked() }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.create(user, req);
     await user.updateLastLogin();
 
+    await auditService.logEvent(req, {
+      action: 'auth.2fa-verify',
+      actor: user,
+      statusCode: 200,
+      targetType: 'User',
+      targetId: user._id,
+      details: { enrolling, method }
+    });
+
+    const data = {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        avatar: user.avatar,
+        preferences: user.preferences,
+        emailVerified: user.emailVerified,
+        lastLogin: user.lastLogin
+      },
+      accessToken,
+      refreshToken
+    };
+    if (backupCodes) {
+      // Shown only once
+      data.backupCodes = backupCodes;
+    }
+    if (method === 'backup') {
+      data.backupCodesRemaining = user.twoFactor.backupCodes.length;
+    }
+
     res.json({
       success: true,
-      message: 'Admin login successful',
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          lastLogin: user.lastLogin
-        },
-        accessToken,
-        refreshToken
-      }
+      message: enrolling ? 'Two-factor authentication enabled, login successful' : 'Login successful',
+      data
     });
 
   } catch (error) {
-    console.error('Admin login error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Two-factor verification error:', error);
     res.status(500).json({
       success: false,
-      message: 'Admin login failed',
+      message: 'Two-factor verification failed',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
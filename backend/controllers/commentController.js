@@ -0,0 +1,463 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import Comment, { MAX_COMMENT_DEPTH } from '../models/Comment.js';
+import permissionService from '../services/permissionService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Reports needed before a comment is hidden pending moderator review
+const AUTO_HIDE_REPORTS = parseInt(process.env.COMMENT_AUTO_HIDE_REPORTS) || 5;
+
+const COMMENT_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  top: { upvoteCount: -1, createdAt: -1 }
+};
+
+const USER_FIELDS = 'username avatar role';
+
+// Resolve a 'movie' | 'series' param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+const formatPagination = (result) => ({
+  currentPage: result.page,
+  totalPages: result.totalPages,
+  totalItems: result.totalDocs,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  limit: result.limit
+});
+
+// Strip voter/report lists and blank out removed comments for public output
+const toPublicComment = (comment, userId) => {
+  const { upvotes = [], reports, ...rest } = comment;
+  const removed = rest.status !== 'visible';
+
+  return {
+    ...rest,
+    body: removed ? null : rest.body,
+    user: removed ? null : rest.user,
+    upvoted: userId ? upvotes.some(id => id.toString() === userId.toString()) : false
+  };
+};
+
+// Load a published title and check an optional episode belongs to it
+const findCommentTarget = async (type, id, episodeId) => {
+  const { contentType, Model } = getContentModel(type);
+  const query = { _id: id, adminStatus: 'Published' };
+
+  if (episodeId) {
+    if (contentType !== 'Series') {
+      return { error: 'Episodes can only be referenced on series', status: 400 };
+    }
+    query['seasons.episodes._id'] = episodeId;
+  }
+
+  const content = await Model.findOne(query).select('_id');
+  if (!content) {
+    return { error: episodeId ? 'Episode not found' : `${contentType} not found`, status: 404 };
+  }
+
+  return { contentType, content };
+};
+
+// Get threaded comments for a title or episode
+export const getComments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { episodeId = null, page = 1, limit = 20, sort = 'newest' } = req.query;
+
+    const target = await findCommentTarget(type, id, episodeId);
+    if (target.error) {
+      return res.status(target.status).json(createErrorResponse(target.error, target.status));
+    }
+
+    // Removed top-level comments are kept as placeholders only when they have replies
+    const threads = await Comment.paginate({
+      contentId: target.content._id,
+      episodeId,
+      parent: null,
+      $or: [{ status: 'visible' }, { replyCount: { $gt: 0 } }]
+    }, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: COMMENT_SORTS[sort] || COMMENT_SORTS.newest,
+      populate: { path: 'user', select: USER_FIELDS },
+      lean: true
+    });
+
+    const replies = await Comment.find({
+      root: { $in: threads.docs.map(comment => comment._id) },
+      $or: [{ status: 'visible' }, { replyCount: { $gt: 0 } }]
+    })
+      .sort({ createdAt: 1 })
+      .populate('user', USER_FIELDS)
+      .lean();
+
+    const userId = req.user?._id;
+    const nodes = new Map();
+    const comments = threads.docs.map(comment => {
+      const node = { ...toPublicComment(comment, userId), replies: [] };
+      nodes.set(comment._id.toString(), node);
+      return node;
+    });
+
+    replies.forEach(reply => {
+      const node = { ...toPublicComment(reply, userId), replies: [] };
+      nodes.set(reply._id.toString(), node);
+      const parent = nodes.get(reply.parent.toString()) || nodes.get(reply.root.toString());
+      parent.replies.push(node);
+    });
+
+    res.json(createSuccessResponse({
+      comments,
+      pagination: formatPagination(threads)
+    }));
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch comments', 500, error.message));
+  }
+};
+
+// Post a comment or reply
+export const createComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { body, isSpoiler = false, episodeId = null, parentId = null } = req.body;
+
+    const target = await findCommentTarget(type, id, episodeId);
+    if (target.error) {
+      return res.status(target.status).json(createErrorResponse(target.error, target.status));
+    }
+
+    const commentData = {
+      user: req.user._id,
+      contentType: target.contentType,
+      contentId: target.content._id,
+      episodeId,
+      body,
+      isSpoiler
+    };
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findById(parentId);
+
+      if (!parent || parent.status !== 'visible') {
+        return res.status(404).json(createErrorResponse('Parent comment not found', 404));
+      }
+      if (!parent.contentId.equals(target.content._id) || String(parent.episodeId) !== String(episodeId)) {
+        return res.status(400).json(createErrorResponse('Parent comment belongs to a different title or episode', 400));
+      }
+
+      // Keep threads shallow: replies past the max depth attach beside their parent
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        parent = await Comment.findById(parent.parent);
+      }
+
+      commentData.parent = parent._id;
+      commentData.root = parent.root || parent._id;
+      commentData.depth = parent.depth + 1;
+    }
+
+    const comment = await Comment.create(commentData);
+
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+
+    await comment.populate('user', USER_FIELDS);
+
+    res.status(201).json(createSuccessResponse({
+      comment: toPublicComment(comment.toObject(), req.user._id)
+    }, 'Comment posted successfully'));
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json(createErrorResponse('Failed to post comment', 500, error.message));
+  }
+};
+
+// Edit your own comment
+export const updateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.status === 'deleted') {
+      return res.status(404).json(createErrorResponse('Comment not found', 404));
+    }
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json(createErrorResponse('Not authorized to edit this comment', 403));
+    }
+    if (comment.status === 'hidden') {
+      return res.status(403).json(createErrorResponse('This comment was hidden by a moderator and can no longer be edited', 403));
+    }
+
+    const { body, isSpoiler } = req.body;
+    comment.body = body;
+    if (isSpoiler !== undefined) {
+      comment.isSpoiler = isSpoiler;
+    }
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await comment.populate('user', USER_FIELDS);
+
+    res.json(createSuccessResponse({
+      comment: toPublicComment(comment.toObject(), req.user._id)
+    }, 'Comment updated successfully'));
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json(createErrorResponse('Failed to update comment', 500, error.message));
+  }
+};
+
+// Delete a comment (owner or Moderator)
+export const deleteComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.status === 'deleted') {
+      return res.status(404).json(createErrorResponse('Comment not found', 404));
+    }
+    if (!permissionService.hasPermission(req.user, 'community.moderate') && comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json(createErrorResponse('Not authorized to delete this comment', 403));
+    }
+
+    if (comment.replyCount > 0) {
+      // Keep a placeholder so the replies stay attached to the thread
+      comment.status = 'deleted';
+      comment.body = '';
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+      if (comment.parent) {
+        await Comment.updateOne({ _id: comment.parent }, { $inc: { replyCount: -1 } });
+      }
+    }
+
+    res.json(createSuccessResponse(null, 'Comment deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json(createErrorResponse('Failed to delete comment', 500, error.message));
+  }
+};
+
+// Upvote a comment
+export const upvoteComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, status: 'visible' }).select('user');
+    if (!comment) {
+      return res.status(404).json(createErrorResponse('Comment not found', 404));
+    }
+    if (comment.user.toString() === req.user._id.toString()) {
+      return res.status(400).json(createErrorResponse('You cannot upvote your own comment', 400));
+    }
+
+    const updated = await Comment.findOneAndUpdate(
+      { _id: comment._id, upvotes: { $ne: req.user._id } },
+      { $push: { upvotes: req.user._id }, $inc: { upvoteCount: 1 } },
+      { new: true }
+    ).select('upvoteCount');
+
+    if (!updated) {
+      return res.status(409).json(createErrorResponse('You have already upvoted this comment', 409));
+    }
+
+    res.json(createSuccessResponse({ upvoteCount: updated.upvoteCount, upvoted: true }));
+
+  } catch (error) {
+    console.error('Upvote comment error:', error);
+    res.status(500).json(createErrorResponse('Failed to upvote comment', 500, error.message));
+  }
+};
+
+// Remove your upvote from a comment
+export const removeUpvote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const updated = await Comment.findOneAndUpdate(
+      { _id: req.params.commentId, upvotes: req.user._id },
+      { $pull: { upvotes: req.user._id }, $inc: { upvoteCount: -1 } },
+      { new: true }
+    ).select('upvoteCount');
+
+    if (!updated) {
+      return res.status(404).json(createErrorResponse('Upvote not found', 404));
+    }
+
+    res.json(createSuccessResponse({ upvoteCount: updated.upvoteCount, upvoted: false }));
+
+  } catch (error) {
+    console.error('Remove upvote error:', error);
+    res.status(500).json(createErrorResponse('Failed to remove upvote', 500, error.message));
+  }
+};
+
+// Report a comment to moderators
+export const reportComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { reason = 'other' } = req.body;
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, status: 'visible' }).select('user');
+    if (!comment) {
+      return res.status(404).json(createErrorResponse('Comment not found', 404));
+    }
+    if (comment.user.toString() === req.user._id.toString()) {
+      return res.status(400).json(createErrorResponse('You cannot report your own comment', 400));
+    }
+
+    // One report per user
+    const updated = await Comment.findOneAndUpdate(
+      { _id: comment._id, 'reports.user': { $ne: req.user._id } },
+      {
+        $push: { reports: { user: req.user._id, reason } },
+        $inc: { reportCount: 1 }
+      },
+      { new: true }
+    ).select('reportCount status');
+
+    if (!updated) {
+      return res.status(409).json(createErrorResponse('You have already reported this comment', 409));
+    }
+
+    if (updated.status === 'visible' && updated.reportCount >= AUTO_HIDE_REPORTS) {
+      await Comment.updateOne({ _id: updated._id, status: 'visible' }, { status: 'hidden' });
+    }
+
+    res.json(createSuccessResponse(null, 'Comment reported to moderators'));
+
+  } catch (error) {
+    console.error('Report comment error:', error);
+    res.status(500).json(createErrorResponse('Failed to report comment', 500, error.message));
+  }
+};
+
+// Get reported or hidden comments (Moderator)
+export const getModerationQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, status = 'reported' } = req.query;
+
+    const query = status === 'hidden'
+      ? { status: 'hidden' }
+      : { status: 'visible', reportCount: { $gt: 0 } };
+
+    const comments = await Comment.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { reportCount: -1, createdAt: 1 },
+      select: '-upvotes',
+      populate: [
+        { path: 'user', select: 'username email' },
+        { path: 'contentId', select: 'title slug' },
+        { path: 'reports.user', select: 'username' },
+        { path: 'moderatedBy', select: 'username' }
+      ]
+    });
+
+    res.json(createSuccessResponse({
+      comments: comments.docs,
+      pagination: formatPagination(comments)
+    }));
+
+  } catch (error) {
+    console.error('Get comment moderation queue error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch moderation queue', 500, error.message));
+  }
+};
+
+// Hide, restore or clear reports on a comment (Moderator)
+export const moderateComment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { action } = req.body;
+
+    const comment = await Comment.findById(req.params.commentId);
+    if (!comment || comment.status === 'deleted') {
+      return res.status(404).json(createErrorResponse('Comment not found', 404));
+    }
+
+    switch (action) {
+      case 'hide':
+        comment.status = 'hidden';
+        break;
+      case 'restore':
+        comment.status = 'visible';
+        comment.reports = [];
+        comment.reportCount = 0;
+        break;
+      case 'dismiss':
+        comment.reports = [];
+        comment.reportCount = 0;
+        break;
+    }
+
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    res.json(createSuccessResponse({ comment }, 'Comment moderated successfully'));
+
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    res.status(500).json(createErrorResponse('Failed to moderate comment', 500, error.message));
+  }
+};
+
+export default {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  upvoteComment,
+  removeUpvote,
+  reportComment,
+  getModerationQueue,
+  moderateComment
+};
@@ -1,6 +1,7 @@
 import Movie from '../models/Movie.js';
 import Series from '../models/Series.js';
-import { buildSearchQuery, buildFilterQuery, buildSortQuery, createPagination, createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+import analyticsService from '../services/analyticsService.js';
+import { buildSearchQuery, buildFilterQuery, buildSortQuery, createPagination, createErrorResponse, createSuccessResponse, getWatchlistIds } from '../utils/helpers.js';
 
 // Get combined content (movies and series)
 export const getContent = async (req, res) => {
@@ -126,8 +127,11 @@ export const getContent = async (req, res) => {
 
     totalCount = allContent.length;
 
-    // Apply pagination
-    const paginatedContent = allContent.slice(skip, skip + limitNum);
+    // Apply pagination and flag items in the user's watchlist
+    const watchlistIds = getWatchlistIds(req.user);
+    const paginatedContent = allContent
+      .slice(skip, skip + limitNum)
+      .map(item => ({ ...item, inWatchlist: watchlistIds.has(item._id.toString()) }));
 
     // Build pagination object
     const pagination = createPagination({
@@ -222,62 +226,59 @@ export const getFeaturedContent = async (req, res) => {
 export const getTrendingContent = async (req, res) => {
   try {
     const { limit = 20, timeframe = 'week' } = req.query;
+    const limitNum = parseInt(limit);
 
-    let dateFilter = {};
     const now = new Date();
-    
+    let startDate = null;
+
     switch (timeframe) {
       case 'today':
-        dateFilter = { createdAt: { $gte: new Date(now.setHours(0, 0, 0, 0)) } };
+        startDate = analyticsService.startOfDay(now);
         break;
       case 'week':
-        dateFilter = { createdAt: { $gte: new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000) } };
+        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
         break;
       case 'month':
-        dateFilter = { createdAt: { $gte: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000) } };
+        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
         break;
       default:
-        dateFilter = {};
+        startDate = null;
     }
 
-    // Get trending movies
-    const trendingMovies = await Movie.find({
-      adminStatus: 'Published',
-      views: { $gt: 0 },
-      ...dateFilter
-    })
-      .select('title slug posterPath overview rating releaseYear genres type views likes createdAt')
-      .sort({ views: -1, rating: -1 })
-      .limit(Math.ceil(limit / 2))
-      .lean();
+    // Rank by real activity inside the window
+    const trending = startDate
+      ? await analyticsService.getTop({ metric: 'score', startDate, limit: limitNum, publishedOnly: true })
+      : [];
 
-    // Get trending series
-    const trendingSeries = await Series.find({
-      adminStatus: 'Published',
-      views: { $gt: 0 },
-      ...dateFilter
-    })
-      .select('title slug posterPath overview rating releaseYear genres type views likes numberOfSeasons numberOfEpisodes createdAt')
-      .sort({ views: -1, rating: -1 })
-      .limit(Math.ceil(limit / 2))
-      .lean();
+    // Top up with all-time counters when there isn't enough recent activity
+    if (trending.length < limitNum) {
+      const counterScore = (item) => (item.views * 0.6) + (item.rating * 0.2) + (item.likes * 0.1);
+      const seen = new Set(trending.map(item => item._id.toString()));
 
-    const trending = [
-      ...trendingMovies.map(movie => ({ ...movie, contentType: 'Movie' })),
-      ...trendingSeries.map(series => ({ ...series, contentType: 'Series' }))
-    ];
+      const trendingMovies = await Movie.find({ adminStatus: 'Published', views: { $gt: 0 } })
+        .select('title slug posterPath overview rating releaseYear genres type views likes createdAt')
+        .sort({ views: -1, rating: -1 })
+        .limit(limitNum)
+        .lean();
 
-    // Calculate trending score and sort
-    trending.forEach(item => {
-      const daysSinceAdded = (now - new Date(item.createdAt)) / (1000 * 60 * 60 * 24);
-      const freshnessBonus = Math.max(0, 10 - daysSinceAdded);
-      item.trendingScore = (item.views * 0.6) + (item.rating * 0.2) + (item.likes * 0.1) + freshnessBonus;
-    });
+      const trendingSeries = await Series.find({ adminStatus: 'Published', views: { $gt: 0 } })
+        .select('title slug posterPath overview rating releaseYear genres type views likes numberOfSeasons numberOfEpisodes createdAt')
+        .sort({ views: -1, rating: -1 })
+        .limit(limitNum)
+        .lean();
+
+      const fallback = [
+        ...trendingMovies.map(movie => ({ ...movie, contentType: 'Movie' })),
+        ...trendingSeries.map(series => ({ ...series, contentType: 'Series' }))
+      ]
+        .filter(item => !seen.has(item._id.toString()))
+        .sort((a, b) => counterScore(b) - counterScore(a));
 
-    trending.sort((a, b) => b.trendingScore - a.trendingScore);
+      trending.push(...fallback.slice(0, limitNum - trending.length));
+    }
 
     res.json(createSuccessResponse({
-      trending: trending.slice(0, parseInt(limit)).map(({ trendingScore, ...item }) => item),
+      trending,
       timeframe
     }));
 
@@ -305,18 +306,26 @@ export const getLatestContent = async (req, res) => {
     }
 
     if (type === 'all' || type === 'series') {
-      const latestSeries = await Series.find({ adminStatus: 'Published' })
-        .select('title slug posterPath overview rating releaseYear genres type quality status numberOfSeasons numberOfEpisodes createdAt')
-        .sort({ createdAt: -1 })
-        .limit(type === 'series' ? parseInt(limit) : Math.ceil(limit / 2))
-        .lean();
+      // Series float up when new episodes are added, not only when created
+      const latestSeries = await Series.aggregate([
+        { $match: { adminStatus: 'Published' } },
+        { $addFields: { latestActivityAt: { $ifNull: ['$lastEpisodeAddedAt', '$createdAt'] } } },
+        { $sort: { latestActivityAt: -1 } },
+        { $limit: type === 'series' ? parseInt(limit) : Math.ceil(limit / 2) },
+        {
+          $project: {
+            title: 1, slug: 1, posterPath: 1, overview: 1, rating: 1, releaseYear: 1, genres: 1, type: 1,
+            quality: 1, status: 1, numberOfSeasons: 1, numberOfEpisodes: 1, createdAt: 1, latestActivityAt: 1
+          }
+        }
+      ]);
       
       content.push(...latestSeries.map(series => ({ ...series, contentType: 'Series' })));
     }
 
-    // Sort by creation date if combining both types
+    // Sort by latest activity if combining both types
     if (type === 'all') {
-      content.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      content.sort((a, b) => new Date(b.latestActivityAt || b.createdAt) - new Date(a.latestActivityAt || a.createdAt));
       content = content.slice(0, parseInt(limit));
     }
 
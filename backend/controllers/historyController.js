@@ -0,0 +1,286 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import WatchHistory, { COMPLETION_THRESHOLD } from '../models/WatchHistory.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+const CONTENT_FIELDS = 'title slug posterPath backdropPath type rating releaseYear runtime';
+
+// Resolve a 'movie' | 'series' param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+// Plain episode summary for API responses
+const toEpisodeSummary = ({ season, episode }) => ({
+  id: episode._id,
+  seasonNumber: season.seasonNumber,
+  episodeNumber: episode.episodeNumber,
+  title: episode.title,
+  runtime: episode.runtime,
+  stillPath: episode.stillPath
+});
+
+// Where to continue a series from the user's latest history entry. The entry's
+// episode is found by id, so renumbering can't point it at another episode; its
+// stored numbers are only used to move on if the episode was removed.
+const getResumeTarget = (series, entry) => {
+  if (!entry) {
+    return { target: series.getNextEpisode(), position: 0, reason: 'start' };
+  }
+
+  const current = series.findEpisodeById(entry.episodeId);
+  if (current && !entry.completed) {
+    return { target: current, position: entry.position, reason: 'resume' };
+  }
+
+  const target = current
+    ? series.getNextEpisode(current.season.seasonNumber, current.episode.episodeNumber)
+    : series.getNextEpisode(entry.seasonNumber, entry.episodeNumber);
+  return { target, position: 0, reason: 'next' };
+};
+
+// Save playback progress for a movie or episode
+export const saveProgress = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, contentId, episodeId, seasonNumber, episodeNumber, position, duration } = req.body;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findOne({ _id: contentId, adminStatus: 'Published' });
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    // Entries are keyed by episode id; the numbers are stored for display only
+    let located = null;
+    if (contentType === 'Series') {
+      if (!episodeId && (seasonNumber === undefined || episodeNumber === undefined)) {
+        return res.status(400).json(createErrorResponse('Episode ID or season and episode number are required for series', 400));
+      }
+
+      located = content.findEpisodeById(episodeId
+        || content.getEpisode(parseInt(seasonNumber), parseInt(episodeNumber))?._id);
+      if (!located) {
+        return res.status(404).json(createErrorResponse('Episode not found', 404));
+      }
+    }
+
+    const positionNum = parseFloat(position);
+    const durationNum = parseFloat(duration) || 0;
+
+    const entry = await WatchHistory.findOneAndUpdate(
+      { user: req.user._id, contentId: content._id, episodeId: located?.episode._id || null },
+      {
+        contentType,
+        seasonNumber: located?.season.seasonNumber ?? null,
+        episodeNumber: located?.episode.episodeNumber ?? null,
+        position: positionNum,
+        duration: durationNum,
+        completed: durationNum > 0 && positionNum / durationNum >= COMPLETION_THRESHOLD,
+        lastWatchedAt: new Date()
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(createSuccessResponse({ entry }, 'Progress saved'));
+
+  } catch (error) {
+    console.error('Save progress error:', error);
+    res.status(500).json(createErrorResponse('Failed to save progress', 500, error.message));
+  }
+};
+
+// Get the current user's watch history
+export const getHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, type } = req.query;
+
+    const query = { user: req.user._id };
+    if (type) {
+      query.contentType = getContentModel(type).contentType;
+    }
+
+    const history = await WatchHistory.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { lastWatchedAt: -1 },
+      populate: { path: 'contentId', select: CONTENT_FIELDS }
+    });
+
+    res.json(createSuccessResponse({
+      history: history.docs,
+      pagination: {
+        currentPage: history.page,
+        totalPages: history.totalPages,
+        totalItems: history.totalDocs,
+        hasNextPage: history.hasNextPage,
+        hasPrevPage: history.hasPrevPage,
+        limit: history.limit
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch watch history', 500, error.message));
+  }
+};
+
+// Remove a single history entry
+export const removeHistoryEntry = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const entry = await WatchHistory.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!entry) {
+      return res.status(404).json(createErrorResponse('History entry not found', 404));
+    }
+
+    res.json(createSuccessResponse(null, 'History entry removed'));
+
+  } catch (error) {
+    console.error('Remove history entry error:', error);
+    res.status(500).json(createErrorResponse('Failed to remove history entry', 500, error.message));
+  }
+};
+
+// Clear the current user's watch history
+export const clearHistory = async (req, res) => {
+  try {
+    const result = await WatchHistory.deleteMany({ user: req.user._id });
+
+    res.json(createSuccessResponse({ deleted: result.deletedCount }, 'Watch history cleared'));
+
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json(createErrorResponse('Failed to clear watch history', 500, error.message));
+  }
+};
+
+// Get titles the user is partway through, with the episode to resume or start next
+export const getContinueWatching = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const limitNum = parseInt(req.query.limit) || 20;
+
+    // Most recent entry per title
+    const latest = await WatchHistory.aggregate([
+      { $match: { user: req.user._id } },
+      { $sort: { lastWatchedAt: -1 } },
+      { $group: { _id: '$contentId', entry: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$entry' } },
+      { $sort: { lastWatchedAt: -1 } },
+      // Finished movies and series are dropped below, so over-fetch a little
+      { $limit: limitNum * 2 }
+    ]);
+
+    const idsFor = (contentType) => latest
+      .filter(entry => entry.contentType === contentType)
+      .map(entry => entry.contentId);
+
+    const [movies, series] = await Promise.all([
+      Movie.find({ _id: { $in: idsFor('Movie') }, adminStatus: 'Published' }).select(CONTENT_FIELDS).lean(),
+      Series.find({ _id: { $in: idsFor('Series') }, adminStatus: 'Published' }).select(`${CONTENT_FIELDS} seasons`)
+    ]);
+
+    const titles = new Map([
+      ...movies.map(movie => [movie._id.toString(), movie]),
+      ...series.map(item => [item._id.toString(), item])
+    ]);
+
+    const items = [];
+
+    for (const entry of latest) {
+      const title = titles.get(entry.contentId.toString());
+      if (!title) continue;
+
+      if (entry.contentType === 'Movie') {
+        if (entry.completed) continue;
+        items.push({
+          contentType: 'Movie',
+          content: title,
+          position: entry.position,
+          duration: entry.duration,
+          lastWatchedAt: entry.lastWatchedAt
+        });
+        continue;
+      }
+
+      // Resume the current episode, or move on to the next one once it's finished
+      const { target, position, reason } = getResumeTarget(title, entry);
+      if (!target) continue;
+
+      const { seasons, ...content } = title.toObject();
+      items.push({
+        contentType: 'Series',
+        content,
+        episode: toEpisodeSummary(target),
+        position,
+        duration: reason === 'resume' ? entry.duration : 0,
+        lastWatchedAt: entry.lastWatchedAt
+      });
+    }
+
+    res.json(createSuccessResponse({ items: items.slice(0, limitNum) }));
+
+  } catch (error) {
+    console.error('Get continue watching error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch continue watching', 500, error.message));
+  }
+};
+
+// Resolve which episode of a series the user should play next
+export const getNextEpisode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const series = await Series.findOne({ _id: req.params.seriesId, adminStatus: 'Published' }).select('title slug seasons');
+    if (!series) {
+      return res.status(404).json(createErrorResponse('Series not found', 404));
+    }
+
+    const last = await WatchHistory.findOne({ user: req.user._id, contentId: series._id })
+      .sort({ lastWatchedAt: -1 });
+
+    const { target, position, reason } = getResumeTarget(series, last);
+
+    res.json(createSuccessResponse({
+      series: { id: series._id, title: series.title, slug: series.slug },
+      episode: target ? toEpisodeSummary(target) : null,
+      position,
+      reason: target ? reason : 'finished'
+    }));
+
+  } catch (error) {
+    console.error('Get next episode error:', error);
+    res.status(500).json(createErrorResponse('Failed to resolve next episode', 500, error.message));
+  }
+};
+
+export default {
+  saveProgress,
+  getHistory,
+  removeHistoryEntry,
+  clearHistory,
+  getContinueWatching,
+  getNextEpisode
+};
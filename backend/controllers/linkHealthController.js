@@ -0,0 +1,86 @@
+import { validationResult } from 'express-validator';
+import linkHealthService from '../services/linkHealthService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Resolve a 'movie' | 'series' param to a content type
+const getContentType = (type) => (type === 'series' ? 'Series' : 'Movie');
+
+// Broken or auto-deactivated links, worst first (Admin/Moderator)
+export const getBrokenLinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, status = 'broken', page = 1, limit = 20 } = req.query;
+
+    const report = await linkHealthService.getBrokenLinks({
+      contentType: type ? getContentType(type) : null,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json(createSuccessResponse(report));
+
+  } catch (error) {
+    console.error('Get broken links error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch broken links', 500, error.message));
+  }
+};
+
+// Start a link check of the stalest titles (Admin)
+export const runLinkCheck = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    if (linkHealthService.running) {
+      return res.status(409).json(createErrorResponse('Link check is already running', 409));
+    }
+
+    const { limit } = req.body;
+
+    // Runs in the background; results show up in the broken links report
+    linkHealthService.runCheck({ limit: limit ? parseInt(limit) : undefined })
+      .catch(error => console.error('Manual link check error:', error));
+
+    res.status(202).json(createSuccessResponse(null, 'Link check started'));
+
+  } catch (error) {
+    console.error('Run link check error:', error);
+    res.status(500).json(createErrorResponse('Failed to start link check', 500, error.message));
+  }
+};
+
+// Check every link of one movie or series now (Admin/Moderator)
+export const checkContentLinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const contentType = getContentType(req.params.type);
+    const links = await linkHealthService.checkOne(contentType, req.params.id, req.user);
+    const broken = links.filter(link => link.health.status === 'broken').length;
+
+    res.json(createSuccessResponse({ links }, `Checked ${links.length} links, ${broken} broken`));
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createErrorResponse(error.message, error.statusCode));
+    }
+    console.error('Check content links error:', error);
+    res.status(500).json(createErrorResponse('Failed to check links', 500, error.message));
+  }
+};
+
+export default {
+  getBrokenLinks,
+  runLinkCheck,
+  checkContentLinks
+};
@@ -1,6 +1,18 @@
 import { validationResult } from 'express-validator';
 import Movie from '../models/Movie.js';
-import { createPagination, buildSearchQuery } from '../utils/helpers.js';
+import viewCounterService from '../services/viewCounterService.js';
+import contentCleanupService from '../services/contentCleanupService.js';
+import linkHealthService from '../services/linkHealthService.js';
+import permissionService from '../services/permissionService.js';
+import workflowService, { WORKFLOW_FIELDS } from '../services/workflowService.js';
+import { createPagination, buildSearchQuery, getWatchlistIds } from '../utils/helpers.js';
+
+// Movie fields that are managed elsewhere and never set through updateMovie
+const MOVIE_PROTECTED_FIELDS = [
+  '_id', 'addedBy', 'views', 'likes', 'downloads', 'communityRating', 'communityRatingCount',
+  'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'lastSyncedAt', 'linksCheckedAt',
+  ...WORKFLOW_FIELDS
+];
 
 // Get all movies with filtering and pagination
 export const getMovies = async (req, res) => {
@@ -58,9 +70,9 @@ export const getMovies = async (req, res) => {
     }
 
     // Admin can see all status, others only published
-    if (req.user && req.user.role === 'admin' && adminStatus) {
+    if (permissionService.hasPermission(req.user, 'content.publish') && adminStatus) {
       query.adminStatus = adminStatus;
-    } else if (!req.user || req.user.role !== 'admin') {
+    } else if (!permissionService.hasPermission(req.user, 'content.publish')) {
       query.adminStatus = 'Published';
     }
 
@@ -115,7 +127,7 @@ export const getMovie = async (req, res) => {
     const query = isObjectId ? { _id: identifier } : { slug: identifier };
 
     // Admin can see all, others only published
-    if (!req.user || req.user.role !== 'admin') {
+    if (!permissionService.hasPermission(req.user, 'content.publish')) {
       query.adminStatus = 'Published';
     }
 
@@ -130,13 +142,18 @@ export const getMovie = async (req, res) => {
       });
     }
 
-    // Increment view count
-    movie.views += 1;
-    await movie.save({ validateBeforeSave: false });
+    // Count the view in the background
+    viewCounterService.track(req, { contentType: 'Movie', contentId: movie._id });
 
+    // Dead links the checker switched off are only shown to editors
     res.json({
       success: true,
-      data: { movie }
+      data: {
+        movie: permissionService.hasPermission(req.user, 'content.edit')
+          ? movie
+          : linkHealthService.hideInactiveLinks('Movie', movie),
+        inWatchlist: getWatchlistIds(req.user).has(movie._id.toString())
+      }
     });
 
   } catch (error) {
@@ -165,6 +182,8 @@ export const createMovie = async (req, res) => {
       ...req.body,
       addedBy: req.user._id
     };
+    // New movies always start as drafts
+    WORKFLOW_FIELDS.forEach(field => delete movieData[field]);
 
     const movie = new Movie(movieData);
     await movie.save();
@@ -212,6 +231,8 @@ export const updateMovie = async (req, res) => {
       ...req.body,
       lastModifiedBy: req.user._id
     };
+    // Status changes go through the editorial workflow; trash, sync and counter fields have their own routes
+    MOVIE_PROTECTED_FIELDS.forEach(field => delete updates[field]);
 
     const movie = await Movie.findById(id);
     if (!movie) {
@@ -222,7 +243,7 @@ export const updateMovie = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && movie.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && movie.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -255,6 +276,14 @@ export const updateMovie = async (req, res) => {
 export const deleteMovie = async (req, res) => {
   try {
     const { id } = req.params;
+    const permanent = req.query.permanent === 'true';
+
+    if (permanent && !permissionService.hasPermission(req.user, 'content.purge')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission required: content.purge'
+      });
+    }
 
     const movie = await Movie.findById(id);
     if (!movie) {
@@ -265,18 +294,31 @@ export const deleteMovie = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && movie.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && movie.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    await Movie.findByIdAndDelete(id);
+    // Move to the trash by default; it is purged after the retention period
+    if (!permanent) {
+      await movie.softDelete(req.user._id);
+
+      return res.json({
+        success: true,
+        message: 'Movie moved to trash',
+        data: { id: movie._id, deletedAt: movie.deletedAt }
+      });
+    }
+
+    // Also clears watchlist entries, history, reviews, comments and hosted images
+    const cleanup = await contentCleanupService.purge('Movie', movie);
 
     res.json({
       success: true,
-      message: 'Movie deleted successfully'
+      message: 'Movie deleted successfully',
+      data: { cleanup }
     });
 
   } catch (error) {
@@ -443,7 +485,7 @@ export const addServerToMovie = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && movie.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && movie.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -490,7 +532,7 @@ export const removeServerFromMovie = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && movie.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && movie.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -517,21 +559,13 @@ export const removeServerFromMovie = async (req, res) => {
   }
 };
 
-// Update movie status (admin only)
+// Update movie status (admin only); goes through the editorial workflow
 export const updateMovieStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { adminStatus } = req.body;
-
-    const movie = await Movie.findByIdAndUpdate(
-      id,
-      { 
-        adminStatus,
-        lastModifiedBy: req.user._id
-      },
-      { new: true }
-    );
+    const { adminStatus, note, publishAt } = req.body;
 
+    const movie = await Movie.findById(id);
     if (!movie) {
       return res.status(404).json({
         success: false,
@@ -539,13 +573,31 @@ export const updateMovieStatus = async (req, res) => {
       });
     }
 
+    // Scheduling is approval with a future publishAt
+    const target = adminStatus === 'Scheduled' ? 'Published' : adminStatus;
+    const action = workflowService.findAction(movie.adminStatus, target);
+    if (!action) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from ${movie.adminStatus} to ${adminStatus}`
+      });
+    }
+
+    const updated = await workflowService.transition('Movie', movie, action, req.user, { note, publishAt });
+
     res.json({
       success: true,
       message: 'Movie status updated successfully',
-      data: { movie }
+      data: { movie: updated }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update movie status error:', error);
     res.status(500).json({
       success: false,
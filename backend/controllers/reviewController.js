@@ -0,0 +1,290 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import Review from '../models/Review.js';
+import permissionService from '../services/permissionService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Resolve a 'movie' | 'series' param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+const formatPagination = (result) => ({
+  currentPage: result.page,
+  totalPages: result.totalPages,
+  totalItems: result.totalDocs,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  limit: result.limit
+});
+
+// Get reviews for a movie or series
+export const getReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findOne({ _id: id, adminStatus: 'Published' })
+      .select('communityRating communityRatingCount');
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    const query = { contentType, contentId: content._id, status: 'visible' };
+
+    const [reviews, distribution, myReview] = await Promise.all([
+      Review.paginate(query, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sort: REVIEW_SORTS[sort] || REVIEW_SORTS.newest,
+        select: '-flags',
+        populate: { path: 'user', select: 'username avatar' }
+      }),
+      Review.aggregate([
+        { $match: query },
+        { $group: { _id: '$rating', count: { $sum: 1 } } }
+      ]),
+      req.user ? Review.findOne({ user: req.user._id, contentId: content._id }).select('-flags') : null
+    ]);
+
+    res.json(createSuccessResponse({
+      reviews: reviews.docs,
+      summary: {
+        communityRating: content.communityRating,
+        communityRatingCount: content.communityRatingCount,
+        distribution: distribution.reduce((acc, { _id, count }) => {
+          acc[_id] = count;
+          return acc;
+        }, {})
+      },
+      myReview,
+      pagination: formatPagination(reviews)
+    }));
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch reviews', 500, error.message));
+  }
+};
+
+// Create or update the current user's review of a title
+export const upsertReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { rating, title = '', body = '', containsSpoilers = false } = req.body;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findOne({ _id: id, adminStatus: 'Published' }).select('_id');
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    let review = await Review.findOne({ user: req.user._id, contentId: content._id });
+    const isNewReview = !review;
+
+    if (isNewReview) {
+      review = new Review({ user: req.user._id, contentType, contentId: content._id });
+    } else if (review.status === 'hidden') {
+      return res.status(403).json(createErrorResponse('This review was hidden by a moderator and can no longer be edited', 403));
+    }
+
+    review.rating = rating;
+    review.title = title;
+    review.body = body;
+    review.containsSpoilers = containsSpoilers;
+    await review.save();
+
+    const summary = await Review.recomputeRating(contentType, content._id);
+
+    res.status(isNewReview ? 201 : 200).json(createSuccessResponse(
+      { review, summary },
+      isNewReview ? 'Review added successfully' : 'Review updated successfully'
+    ));
+
+  } catch (error) {
+    console.error('Upsert review error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json(createErrorResponse('You have already reviewed this title', 409));
+    }
+
+    res.status(500).json(createErrorResponse('Failed to save review', 500, error.message));
+  }
+};
+
+// Delete a review (owner or Moderator)
+export const deleteReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json(createErrorResponse('Review not found', 404));
+    }
+
+    const canModerate = permissionService.hasPermission(req.user, 'community.moderate');
+    if (!canModerate && review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json(createErrorResponse('Not authorized to delete this review', 403));
+    }
+
+    await review.deleteOne();
+    const summary = await Review.recomputeRating(review.contentType, review.contentId);
+
+    res.json(createSuccessResponse({ summary }, 'Review deleted successfully'));
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json(createErrorResponse('Failed to delete review', 500, error.message));
+  }
+};
+
+// Flag a review for moderation
+export const flagReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { reason = 'other' } = req.body;
+
+    const review = await Review.findById(req.params.reviewId).select('user status');
+    if (!review || review.status !== 'visible') {
+      return res.status(404).json(createErrorResponse('Review not found', 404));
+    }
+    if (review.user.toString() === req.user._id.toString()) {
+      return res.status(400).json(createErrorResponse('You cannot flag your own review', 400));
+    }
+
+    // One flag per user
+    const result = await Review.updateOne(
+      { _id: review._id, 'flags.user': { $ne: req.user._id } },
+      {
+        $push: { flags: { user: req.user._id, reason } },
+        $inc: { flagCount: 1 }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json(createErrorResponse('You have already flagged this review', 409));
+    }
+
+    res.json(createSuccessResponse(null, 'Review flagged for moderation'));
+
+  } catch (error) {
+    console.error('Flag review error:', error);
+    res.status(500).json(createErrorResponse('Failed to flag review', 500, error.message));
+  }
+};
+
+// Get flagged or hidden reviews (Moderator)
+export const getModerationQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, status = 'flagged' } = req.query;
+
+    const query = status === 'hidden'
+      ? { status: 'hidden' }
+      : { status: 'visible', flagCount: { $gt: 0 } };
+
+    const reviews = await Review.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: status === 'hidden' ? { moderatedAt: -1 } : { flagCount: -1, createdAt: 1 },
+      populate: [
+        { path: 'user', select: 'username email' },
+        { path: 'contentId', select: 'title slug' },
+        { path: 'moderatedBy', select: 'username' }
+      ]
+    });
+
+    res.json(createSuccessResponse({
+      reviews: reviews.docs,
+      pagination: formatPagination(reviews)
+    }));
+
+  } catch (error) {
+    console.error('Get review moderation queue error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch moderation queue', 500, error.message));
+  }
+};
+
+// Hide, restore or clear flags on a review (Moderator)
+export const moderateReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { action, note = '' } = req.body;
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json(createErrorResponse('Review not found', 404));
+    }
+
+    switch (action) {
+      case 'hide':
+        review.status = 'hidden';
+        break;
+      case 'restore':
+        review.status = 'visible';
+        review.flags = [];
+        review.flagCount = 0;
+        break;
+      case 'dismiss':
+        review.flags = [];
+        review.flagCount = 0;
+        break;
+    }
+
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.moderationNote = note;
+    await review.save();
+
+    const summary = await Review.recomputeRating(review.contentType, review.contentId);
+
+    res.json(createSuccessResponse({ review, summary }, 'Review moderated successfully'));
+
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json(createErrorResponse('Failed to moderate review', 500, error.message));
+  }
+};
+
+export default {
+  getReviews,
+  upsertReview,
+  deleteReview,
+  flagReview,
+  getModerationQueue,
+  moderateReview
+};
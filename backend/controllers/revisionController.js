@@ -0,0 +1,205 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import Revision from '../models/Revision.js';
+import permissionService from '../services/permissionService.js';
+import revisionService from '../services/revisionService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Resolve a 'movie' | 'series' param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+// Revision metadata without the (large) snapshot
+const toRevisionSummary = (revision) => ({
+  id: revision._id,
+  version: revision.version,
+  action: revision.action,
+  author: revision.author,
+  note: revision.note,
+  createdAt: revision.createdAt
+});
+
+// List revisions of a movie or series (Moderator)
+export const getRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { page = 1, limit = 20, field, author } = req.query;
+    const { contentType, Model } = getContentModel(type);
+
+    // Trashed titles keep their history so it can be reviewed before restoring
+    const content = await Model.findById(id).withDeleted().select('title slug deletedAt');
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    const query = { contentId: content._id };
+    if (field) {
+      query.changedFields = field;
+    }
+    if (author) {
+      query.author = author;
+    }
+
+    const result = await Revision.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { version: -1 },
+      select: '-snapshot',
+      populate: { path: 'author', select: 'username role' },
+      lean: true
+    });
+
+    res.json(createSuccessResponse({
+      content: { id: content._id, title: content.title, slug: content.slug, inTrash: !!content.deletedAt },
+      revisions: result.docs,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalItems: result.totalDocs,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage,
+        limit: result.limit
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch revisions', 500, error.message));
+  }
+};
+
+// Get one revision including its snapshot (Moderator)
+export const getRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id, version } = req.params;
+
+    const revision = await Revision.findOne({ contentId: id, version })
+      .populate('author', 'username role')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json(createErrorResponse('Revision not found', 404));
+    }
+
+    res.json(createSuccessResponse({ revision }));
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch revision', 500, error.message));
+  }
+};
+
+// Diff two revisions; defaults to the latest revision against the one before it (Moderator)
+export const diffRevisions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+    let { from, to } = req.query;
+
+    if (!to) {
+      const latest = await Revision.findOne({ contentId: id }).sort({ version: -1 }).select('version').lean();
+      if (!latest) {
+        return res.status(404).json(createErrorResponse('No revisions recorded for this content', 404));
+      }
+      to = latest.version;
+    }
+    if (!from) {
+      from = Math.max(to - 1, 1);
+    }
+
+    const revisions = await Revision.find({ contentId: id, version: { $in: [from, to] } })
+      .populate('author', 'username role')
+      .lean();
+
+    const fromRevision = revisions.find(revision => revision.version === from);
+    const toRevision = revisions.find(revision => revision.version === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json(createErrorResponse('Revision not found', 404));
+    }
+
+    res.json(createSuccessResponse({
+      from: toRevisionSummary(fromRevision),
+      to: toRevisionSummary(toRevision),
+      changes: revisionService.diff(fromRevision.snapshot, toRevision.snapshot)
+    }));
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json(createErrorResponse('Failed to diff revisions', 500, error.message));
+  }
+};
+
+// Restore a movie or series to an earlier revision (Moderator)
+export const rollbackRevision = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id, version } = req.params;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findById(id);
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    // Check ownership or admin access
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && content.addedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json(createErrorResponse('Access denied', 403));
+    }
+
+    const revision = await Revision.findOne({ contentId: content._id, version }).lean();
+    if (!revision) {
+      return res.status(404).json(createErrorResponse('Revision not found', 404));
+    }
+
+    revisionService.applySnapshot(content, revision.snapshot);
+    content.lastModifiedBy = req.user._id;
+    content.$locals.revisionAction = 'rollback';
+    content.$locals.revisionNote = req.body.note || `Rolled back to revision ${revision.version}`;
+    await content.save();
+
+    const latest = await Revision.findOne({ contentId: content._id })
+      .sort({ version: -1 })
+      .select('-snapshot')
+      .lean();
+
+    res.json(createSuccessResponse({
+      content: { id: content._id, slug: content.slug },
+      revision: latest
+    }, `${contentType} rolled back to revision ${revision.version}`));
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(createErrorResponse('Revision no longer passes validation', 400, error.message));
+    }
+    console.error('Rollback revision error:', error);
+    res.status(500).json(createErrorResponse('Failed to roll back revision', 500, error.message));
+  }
+};
+
+export default {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackRevision
+};
@@ -0,0 +1,136 @@
+import { validationResult } from 'express-validator';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import permissionService from '../services/permissionService.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// List roles with the number of users holding each (Admin)
+export const getRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).populate('updatedBy', 'username').lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json(createSuccessResponse({
+      roles: roles.map(role => ({ ...role, userCount: userCounts[role.name] || 0 }))
+    }));
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch roles', 500, error.message));
+  }
+};
+
+// The permission catalog roles are built from (Admin)
+export const getPermissions = async (req, res) => {
+  res.json(createSuccessResponse({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  }));
+};
+
+// Create a custom role (Admin)
+export const createRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { name, description = '', permissions = [] } = req.body;
+
+    if (await Role.exists({ name: name.toLowerCase() })) {
+      return res.status(409).json(createErrorResponse('A role with this name already exists', 409));
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      updatedBy: req.user._id
+    });
+    await permissionService.invalidate();
+
+    res.status(201).json(createSuccessResponse({ role }, 'Role created'));
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json(createErrorResponse('Failed to create role', 500, error.message));
+  }
+};
+
+// Update a role's description or permissions; names can't change since users reference them (Admin)
+export const updateRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json(createErrorResponse('Role not found', 404));
+    }
+
+    const { description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      if (role.name === 'admin') {
+        return res.status(409).json(createErrorResponse('The admin role always holds every permission', 409));
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+    if (description !== undefined) {
+      role.description = description;
+    }
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    await permissionService.invalidate();
+
+    res.json(createSuccessResponse({ role }, 'Role updated'));
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json(createErrorResponse('Failed to update role', 500, error.message));
+  }
+};
+
+// Delete a custom role nobody holds (Admin)
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json(createErrorResponse('Role not found', 404));
+    }
+
+    if (role.isSystem) {
+      return res.status(409).json(createErrorResponse('System roles cannot be deleted', 409));
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json(createErrorResponse(`Role is assigned to ${userCount} user(s); reassign them first`, 409));
+    }
+
+    await role.deleteOne();
+    await permissionService.invalidate();
+
+    res.json(createSuccessResponse(null, 'Role deleted'));
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json(createErrorResponse('Failed to delete role', 500, error.message));
+  }
+};
+
+export default {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+};
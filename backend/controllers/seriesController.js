@@ -1,5 +1,72 @@
 import { validationResult } from 'express-validator';
 import Series from '../models/Series.js';
+import viewCounterService from '../services/viewCounterService.js';
+import contentCleanupService from '../services/contentCleanupService.js';
+import linkHealthService from '../services/linkHealthService.js';
+import permissionService from '../services/permissionService.js';
+import workflowService, { WORKFLOW_FIELDS } from '../services/workflowService.js';
+import { getWatchlistIds } from '../utils/helpers.js';
+
+// Series fields that are managed elsewhere and never set through updateSeries
+const SERIES_PROTECTED_FIELDS = [
+  '_id', 'slug', 'seasons', 'numberOfSeasons', 'numberOfEpisodes', 'addedBy', 'lastModifiedBy',
+  'views', 'likes', 'downloads', 'communityRating', 'communityRatingCount', 'createdAt', 'updatedAt',
+  'deletedAt', 'deletedBy', 'lastSyncedAt', 'lastEpisodeAddedAt', 'linksCheckedAt',
+  ...WORKFLOW_FIELDS
+];
+
+// Episode fields that can be changed through updateEpisode
+const EPISODE_UPDATE_FIELDS = ['episodeNumber', 'title', 'overview', 'runtime', 'airDate', 'stillPath', 'rating', 'isActive'];
+
+// Load a series the current user may edit, or send the error response
+const findEditableSeries = async (req, res) => {
+  const series = await Series.findById(req.params.id);
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Series not found'
+    });
+    return null;
+  }
+
+  // Check ownership or admin access
+  if (!permissionService.hasPermission(req.user, 'content.edit.any') && series.addedBy.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// Find a season (and optionally an episode) from route params, or send a 404
+const findSeasonAndEpisode = (series, params, res, { withEpisode = true } = {}) => {
+  const season = series.seasons.find(s => s.seasonNumber == params.seasonNumber);
+  if (!season) {
+    res.status(404).json({
+      success: false,
+      message: 'Season not found'
+    });
+    return null;
+  }
+
+  if (!withEpisode) {
+    return { season };
+  }
+
+  const episode = season.episodes.find(e => e.episodeNumber == params.episodeNumber);
+  if (!episode) {
+    res.status(404).json({
+      success: false,
+      message: 'Episode not found'
+    });
+    return null;
+  }
+
+  return { season, episode };
+};
 
 // Get all series with filtering and pagination
 export const getAllSeries = async (req, res) => {
@@ -57,9 +124,9 @@ export const getAllSeries = async (req, res) => {
     }
 
     // Admin can see all status, others only published
-    if (req.user && req.user.role === 'admin' && adminStatus) {
+    if (permissionService.hasPermission(req.user, 'content.publish') && adminStatus) {
       query.adminStatus = adminStatus;
-    } else if (!req.user || req.user.role !== 'admin') {
+    } else if (!permissionService.hasPermission(req.user, 'content.publish')) {
       query.adminStatus = 'Published';
     }
 
@@ -114,7 +181,7 @@ export const getSeries = async (req, res) => {
     const query = isObjectId ? { _id: identifier } : { slug: identifier };
 
     // Admin can see all, others only published
-    if (!req.user || req.user.role !== 'admin') {
+    if (!permissionService.hasPermission(req.user, 'content.publish')) {
       query.adminStatus = 'Published';
     }
 
@@ -129,13 +196,18 @@ export const getSeries = async (req, res) => {
       });
     }
 
-    // Increment view count
-    series.views += 1;
-    await series.save({ validateBeforeSave: false });
+    // Count the view in the background
+    viewCounterService.track(req, { contentType: 'Series', contentId: series._id });
 
+    // Dead links the checker switched off are only shown to editors
     res.json({
       success: true,
-      data: { series }
+      data: {
+        series: permissionService.hasPermission(req.user, 'content.edit')
+          ? series
+          : linkHealthService.hideInactiveLinks('Series', series),
+        inWatchlist: getWatchlistIds(req.user).has(series._id.toString())
+      }
     });
 
   } catch (error) {
@@ -164,6 +236,8 @@ export const createSeries = async (req, res) => {
       ...req.body,
       addedBy: req.user._id
     };
+    // New series always start as drafts
+    WORKFLOW_FIELDS.forEach(field => delete seriesData[field]);
 
     const series = new Series(seriesData);
     await series.save();
@@ -194,6 +268,108 @@ export const createSeries = async (req, res) => {
   }
 };
 
+// Update series
+export const updateSeries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const updates = { ...req.body };
+    SERIES_PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+    // Saving (rather than findByIdAndUpdate) keeps the slug in step with the title
+    series.set(updates);
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    await series.populate('addedBy', 'username');
+    await series.populate('lastModifiedBy', 'username');
+
+    res.json({
+      success: true,
+      message: 'Series updated successfully',
+      data: { series }
+    });
+
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Archive series, or delete it permanently with ?permanent=true (Admin)
+export const deleteSeries = async (req, res) => {
+  try {
+    const permanent = req.query.permanent === 'true';
+
+    if (permanent && !permissionService.hasPermission(req.user, 'content.purge')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permission required: content.purge'
+      });
+    }
+
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    if (req.query.archive === 'true') {
+      const archived = await workflowService.transition('Series', series, 'archive', req.user);
+
+      return res.json({
+        success: true,
+        message: 'Series archived successfully',
+        data: { series: archived }
+      });
+    }
+
+    // Move to the trash by default; it is purged after the retention period
+    if (!permanent) {
+      await series.softDelete(req.user._id);
+
+      return res.json({
+        success: true,
+        message: 'Series moved to trash',
+        data: { id: series._id, deletedAt: series.deletedAt }
+      });
+    }
+
+    const cleanup = await contentCleanupService.purge('Series', series);
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully',
+      data: { cleanup }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Add season to series
 export const addSeason = async (req, res) => {
   try {
@@ -209,7 +385,7 @@ export const addSeason = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && series.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && series.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -268,7 +444,7 @@ export const addEpisode = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && series.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && series.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -293,6 +469,7 @@ export const addEpisode = async (req, res) => {
     }
 
     season.episodes.push(episodeData);
+    series.lastEpisodeAddedAt = new Date();
     series.lastModifiedBy = req.user._id;
     await series.save();
 
@@ -341,14 +518,20 @@ export const getEpisode = async (req, res) => {
       });
     }
 
-    // Increment episode view count
-    episode.views += 1;
-    await series.save({ validateBeforeSave: false });
+    // Count the episode view in the background
+    viewCounterService.track(req, {
+      contentType: 'Series',
+      contentId: series._id,
+      seasonId: season._id,
+      episodeId: episode._id
+    });
 
     res.json({
       success: true,
       data: { 
-        episode,
+        episode: permissionService.hasPermission(req.user, 'content.edit')
+          ? episode
+          : linkHealthService.hideInactiveLinks('Episode', episode),
         series: {
           id: series._id,
           title: series.title,
@@ -383,7 +566,7 @@ export const updateEpisode = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && series.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && series.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -406,12 +589,22 @@ export const updateEpisode = async (req, res) => {
       });
     }
 
-    // Update episode fields
-    Object.keys(updates).forEach(key => {
+    // Refuse to renumber onto an existing episode
+    if (updates.episodeNumber !== undefined && updates.episodeNumber != episode.episodeNumber
+      && season.episodes.some(e => e.episodeNumber == updates.episodeNumber)) {
+      return res.status(409).json({
+        success: false,
+        message: `Episode ${updates.episodeNumber} already exists in this season`
+      });
+    }
+
+    // Update episode fields (servers and download links have their own endpoints)
+    EPISODE_UPDATE_FIELDS.forEach(key => {
       if (updates[key] !== undefined) {
         episode[key] = updates[key];
       }
     });
+    season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
 
     series.lastModifiedBy = req.user._id;
     await series.save();
@@ -447,7 +640,7 @@ export const addServerToEpisode = async (req, res) => {
     }
 
     // Check ownership or admin access
-    if (req.user.role !== 'admin' && series.addedBy.toString() !== req.user._id.toString()) {
+    if (!permissionService.hasPermission(req.user, 'content.edit.any') && series.addedBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -495,6 +688,368 @@ export const addServerToEpisode = async (req, res) => {
   }
 };
 
+// Update season details or renumber a season
+export const updateSeason = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res, { withEpisode: false });
+    if (!found) return;
+    const { season } = found;
+
+    const { seasonNumber, name, overview, posterPath, airDate } = req.body;
+
+    // Refuse to renumber onto an existing season
+    if (seasonNumber !== undefined && seasonNumber !== season.seasonNumber) {
+      if (series.seasons.some(s => s.seasonNumber === seasonNumber)) {
+        return res.status(409).json({
+          success: false,
+          message: `Season ${seasonNumber} already exists`
+        });
+      }
+
+      // Keep generated names in step with the number
+      const defaultName = season.seasonNumber === 0 ? 'Specials' : `Season ${season.seasonNumber}`;
+      if (name === undefined && season.name === defaultName) {
+        season.name = seasonNumber === 0 ? 'Specials' : `Season ${seasonNumber}`;
+      }
+      season.seasonNumber = seasonNumber;
+    }
+
+    if (name !== undefined) season.name = name;
+    if (overview !== undefined) season.overview = overview;
+    if (posterPath !== undefined) season.posterPath = posterPath;
+    if (airDate !== undefined) season.airDate = airDate;
+
+    series.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Season updated successfully',
+      data: { season }
+    });
+
+  } catch (error) {
+    console.error('Update season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update season',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a season and all of its episodes
+export const deleteSeason = async (req, res) => {
+  try {
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res, { withEpisode: false });
+    if (!found) return;
+
+    series.seasons.pull(found.season._id);
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Season deleted successfully',
+      data: {
+        numberOfSeasons: series.numberOfSeasons,
+        numberOfEpisodes: series.numberOfEpisodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete season error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete season',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete an episode
+export const deleteEpisode = async (req, res) => {
+  try {
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res);
+    if (!found) return;
+
+    found.season.episodes.pull(found.episode._id);
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Episode deleted successfully',
+      data: {
+        numberOfSeasons: series.numberOfSeasons,
+        numberOfEpisodes: series.numberOfEpisodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete episode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete episode',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Reorder a season's episodes and renumber them from 1
+export const reorderEpisodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res, { withEpisode: false });
+    if (!found) return;
+    const { season } = found;
+
+    const { order } = req.body;
+    const episodesById = new Map(season.episodes.map(e => [e._id.toString(), e]));
+
+    // The new order must list every episode of the season exactly once
+    if (new Set(order).size !== order.length || order.length !== episodesById.size || !order.every(id => episodesById.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must contain every episode of the season exactly once'
+      });
+    }
+
+    order.forEach((episodeId, index) => {
+      episodesById.get(episodeId).episodeNumber = index + 1;
+    });
+    season.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Episodes reordered successfully',
+      data: {
+        episodes: season.episodes.map(e => ({ _id: e._id, episodeNumber: e.episodeNumber, title: e.title }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Reorder episodes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder episodes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove server from episode
+export const removeServerFromEpisode = async (req, res) => {
+  try {
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res);
+    if (!found) return;
+    const { episode } = found;
+
+    const server = episode.servers.id(req.params.serverId);
+    if (!server) {
+      return res.status(404).json({
+        success: false,
+        message: 'Server not found'
+      });
+    }
+
+    episode.servers.pull(server._id);
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Server removed from episode successfully',
+      data: { episode }
+    });
+
+  } catch (error) {
+    console.error('Remove server from episode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove server from episode',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Add download link to episode
+export const addDownloadLinkToEpisode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res);
+    if (!found) return;
+    const { episode } = found;
+
+    const { label, url, quality, size } = req.body;
+    episode.downloadLinks.push({
+      label,
+      url,
+      quality: quality || '720p',
+      size: size || ''
+    });
+
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Download link added to episode successfully',
+      data: { episode }
+    });
+
+  } catch (error) {
+    console.error('Add download link to episode error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add download link to episode',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update an episode download link
+export const updateEpisodeDownloadLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res);
+    if (!found) return;
+    const { episode } = found;
+
+    const link = episode.downloadLinks.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link not found'
+      });
+    }
+
+    // A new URL hasn't been checked yet
+    if (req.body.url !== undefined && req.body.url !== link.url) {
+      link.health = {};
+    }
+
+    ['label', 'url', 'quality', 'size', 'isActive'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        link[key] = req.body[key];
+      }
+    });
+
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Download link updated successfully',
+      data: { episode }
+    });
+
+  } catch (error) {
+    console.error('Update episode download link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update download link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove an episode download link
+export const removeEpisodeDownloadLink = async (req, res) => {
+  try {
+    const series = await findEditableSeries(req, res);
+    if (!series) return;
+
+    const found = findSeasonAndEpisode(series, req.params, res);
+    if (!found) return;
+    const { episode } = found;
+
+    const link = episode.downloadLinks.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link not found'
+      });
+    }
+
+    episode.downloadLinks.pull(link._id);
+    series.lastModifiedBy = req.user._id;
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Download link removed successfully',
+      data: { episode }
+    });
+
+  } catch (error) {
+    console.error('Remove episode download link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove download link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get trending series
 export const getTrendingSeries = async (req, res) => {
   try {
@@ -548,21 +1103,13 @@ export const getLatestSeries = async (req, res) => {
   }
 };
 
-// Update series status (admin only)
+// Update series status (admin only); goes through the editorial workflow
 export const updateSeriesStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { adminStatus } = req.body;
-
-    const series = await Series.findByIdAndUpdate(
-      id,
-      { 
-        adminStatus,
-        lastModifiedBy: req.user._id
-      },
-      { new: true }
-    );
+    const { adminStatus, note, publishAt } = req.body;
 
+    const series = await Series.findById(id);
     if (!series) {
       return res.status(404).json({
         success: false,
@@ -570,13 +1117,31 @@ export const updateSeriesStatus = async (req, res) => {
       });
     }
 
+    // Scheduling is approval with a future publishAt
+    const target = adminStatus === 'Scheduled' ? 'Published' : adminStatus;
+    const action = workflowService.findAction(series.adminStatus, target);
+    if (!action) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change status from ${series.adminStatus} to ${adminStatus}`
+      });
+    }
+
+    const updated = await workflowService.transition('Series', series, action, req.user, { note, publishAt });
+
     res.json({
       success: true,
       message: 'Series status updated successfully',
-      data: { series }
+      data: { series: updated }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update series status error:', error);
     res.status(500).json({
       success: false,
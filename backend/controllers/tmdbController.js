@@ -0,0 +1,508 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import ImportJob from '../models/ImportJob.js';
+import SyncLog from '../models/SyncLog.js';
+import importQueueService from '../services/importQueueService.js';
+import tmdbService from '../services/tmdbService.js';
+import tmdbSyncService from '../services/tmdbSyncService.js';
+import episodeIngestService from '../services/episodeIngestService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Map TMDB service errors to HTTP status codes
+const getTmdbErrorStatus = (error) => {
+  if (error.message.includes('already exists')) return 409;
+  if (error.message.includes('not configured')) return 503;
+  if (error.message.includes('could not be found')) return 404;
+  return 500;
+};
+
+// Get TMDB service status (Admin/Moderator)
+export const getTmdbStatus = async (req, res) => {
+  try {
+    const status = await tmdbService.getStatus();
+    res.json(createSuccessResponse({ status }));
+  } catch (error) {
+    console.error('Get TMDB status error:', error);
+    res.status(500).json(createErrorResponse('Failed to get TMDB status', 500, error.message));
+  }
+};
+
+// Search TMDB for movies or series (Admin/Moderator)
+export const searchTmdb = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { query, type = 'movie', page = 1 } = req.query;
+
+    const data = type === 'series'
+      ? await tmdbService.searchTVSeries(query, parseInt(page))
+      : await tmdbService.searchMovies(query, parseInt(page));
+
+    // Flag results that are already in our database
+    const tmdbIds = data.results.map(result => result.id);
+    const Model = type === 'series' ? Series : Movie;
+    const existing = await Model.find({ tmdbId: { $in: tmdbIds } }).withDeleted().select('tmdbId slug adminStatus deletedAt').lean();
+    const existingMap = new Map(existing.map(item => [item.tmdbId, item]));
+
+    const results = data.results.map(result => ({
+      tmdbId: result.id,
+      title: result.title || result.name,
+      overview: result.overview,
+      releaseDate: result.release_date || result.first_air_date || null,
+      posterPath: result.poster_path ? `${tmdbService.imageBaseUrl}/w185${result.poster_path}` : '',
+      rating: result.vote_average,
+      existing: existingMap.has(result.id)
+        ? {
+          id: existingMap.get(result.id)._id,
+          slug: existingMap.get(result.id).slug,
+          adminStatus: existingMap.get(result.id).adminStatus,
+          inTrash: !!existingMap.get(result.id).deletedAt
+        }
+        : null
+    }));
+
+    res.json(createSuccessResponse({
+      results,
+      type,
+      query,
+      pagination: {
+        currentPage: data.page,
+        totalPages: data.total_pages,
+        totalItems: data.total_results
+      }
+    }));
+
+  } catch (error) {
+    console.error('TMDB search error:', error);
+    const statusCode = getTmdbErrorStatus(error);
+    res.status(statusCode).json(createErrorResponse('TMDB search failed', statusCode, error.message));
+  }
+};
+
+// Preview mapped TMDB data without saving (Admin/Moderator)
+export const previewTmdbItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, tmdbId } = req.params;
+
+    let preview;
+    let existing;
+
+    if (type === 'series') {
+      const tmdbSeries = await tmdbService.getTVSeriesDetails(tmdbId);
+      preview = tmdbService.mapSeriesData(tmdbSeries, req.user._id);
+      preview.availableSeasons = (tmdbSeries.seasons || []).map(season => ({
+        seasonNumber: season.season_number,
+        name: season.name,
+        episodeCount: season.episode_count,
+        airDate: season.air_date || null
+      }));
+      existing = await Series.findOne({ tmdbId: Number(tmdbId) }).withDeleted().select('slug adminStatus deletedAt');
+    } else {
+      const tmdbMovie = await tmdbService.getMovieDetails(tmdbId);
+      preview = tmdbService.mapMovieData(tmdbMovie, req.user._id);
+      existing = await Movie.findOne({ tmdbId: Number(tmdbId) }).withDeleted().select('slug adminStatus deletedAt');
+    }
+
+    delete preview.addedBy;
+
+    res.json(createSuccessResponse({
+      preview,
+      type,
+      existing: existing
+        ? { id: existing._id, slug: existing.slug, adminStatus: existing.adminStatus, inTrash: !!existing.deletedAt }
+        : null
+    }));
+
+  } catch (error) {
+    console.error('TMDB preview error:', error);
+    const statusCode = getTmdbErrorStatus(error);
+    res.status(statusCode).json(createErrorResponse('Failed to preview TMDB item', statusCode, error.message));
+  }
+};
+
+// Import a single movie or series (Admin/Moderator)
+export const importTmdbItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, tmdbId, importSeasons = false } = req.body;
+
+    let result;
+    if (type === 'series') {
+      result = await tmdbService.importSeries(tmdbId, req.user._id, { importSeasons });
+    } else {
+      result = await tmdbService.importMovie(tmdbId, req.user._id);
+    }
+
+    res.status(201).json(createSuccessResponse({
+      [type]: result.movie || result.series,
+      isNew: result.isNew
+    }, `${type === 'series' ? 'Series' : 'Movie'} imported successfully`));
+
+  } catch (error) {
+    console.error('TMDB import error:', error);
+    const statusCode = getTmdbErrorStatus(error);
+    res.status(statusCode).json(createErrorResponse(error.message, statusCode));
+  }
+};
+
+// Queue a bulk import by TMDB IDs or popular pages (Admin/Moderator)
+export const bulkImportTmdb = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, tmdbIds = [], pages = 1, importSeasons = false } = req.body;
+
+    const job = await importQueueService.enqueue({
+      mediaType: type,
+      tmdbIds,
+      pages: parseInt(pages),
+      importSeasons
+    }, req.user._id);
+
+    res.status(202).json(createSuccessResponse({ job }, 'Bulk import queued'));
+
+  } catch (error) {
+    console.error('TMDB bulk import error:', error);
+    res.status(500).json(createErrorResponse('Failed to queue bulk import', 500, error.message));
+  }
+};
+
+// Get import jobs (Admin/Moderator)
+export const getImportJobs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, status, type } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.mediaType = type;
+
+    const jobs = await ImportJob.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: { path: 'createdBy', select: 'username' }
+    });
+
+    // Listing only needs progress, not every item
+    const jobsWithProgress = jobs.docs.map(job => {
+      const { items, ...jobData } = job.toJSON();
+      return jobData;
+    });
+
+    res.json(createSuccessResponse({
+      jobs: jobsWithProgress,
+      pagination: {
+        currentPage: jobs.page,
+        totalPages: jobs.totalPages,
+        totalItems: jobs.totalDocs,
+        hasNextPage: jobs.hasNextPage,
+        hasPrevPage: jobs.hasPrevPage,
+        limit: jobs.limit
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get import jobs error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch import jobs', 500, error.message));
+  }
+};
+
+// Get a single import job with progress (Admin/Moderator)
+export const getImportJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const job = await ImportJob.findById(req.params.id)
+      .populate('createdBy', 'username');
+
+    if (!job) {
+      return res.status(404).json(createErrorResponse('Import job not found', 404));
+    }
+
+    res.json(createSuccessResponse({ job }));
+
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch import job', 500, error.message));
+  }
+};
+
+// Retry failed items of an import job (Admin/Moderator)
+export const retryImportJob = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const job = await importQueueService.retryFailed(req.params.id);
+
+    res.status(202).json(createSuccessResponse({ job }, 'Import job requeued'));
+
+  } catch (error) {
+    console.error('Retry import job error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(createErrorResponse(error.message, 404));
+    }
+    if (error.message.includes('in progress') || error.message.includes('no failed items')) {
+      return res.status(409).json(createErrorResponse(error.message, 409));
+    }
+
+    res.status(500).json(createErrorResponse('Failed to retry import job', 500, error.message));
+  }
+};
+
+// Force re-import of an existing item from TMDB (Admin/Moderator)
+export const forceUpdateTmdbItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, tmdbId } = req.params;
+    const { updateSeasons = false, importSeasons = false } = req.body;
+
+    const Model = type === 'series' ? Series : Movie;
+    const existing = await Model.findOne({ tmdbId: Number(tmdbId) }).select('_id');
+    if (!existing) {
+      return res.status(404).json(createErrorResponse(`${type === 'series' ? 'Series' : 'Movie'} not found`, 404));
+    }
+
+    let result;
+    if (type === 'series') {
+      result = await tmdbService.importSeries(tmdbId, req.user._id, {
+        forceUpdate: true,
+        updateSeasons,
+        importSeasons
+      });
+    } else {
+      result = await tmdbService.importMovie(tmdbId, req.user._id, { forceUpdate: true });
+    }
+
+    res.json(createSuccessResponse({
+      [type]: result.movie || result.series
+    }, `${type === 'series' ? 'Series' : 'Movie'} updated from TMDB successfully`));
+
+  } catch (error) {
+    console.error('TMDB force update error:', error);
+    const statusCode = getTmdbErrorStatus(error);
+    res.status(statusCode).json(createErrorResponse(error.message, statusCode));
+  }
+};
+
+// Start a metadata resync of stale items (Admin/Moderator)
+export const runTmdbSync = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    if (tmdbSyncService.running) {
+      return res.status(409).json(createErrorResponse('TMDB sync is already running', 409));
+    }
+    if (!tmdbService.isConfigured()) {
+      return res.status(503).json(createErrorResponse('TMDB API key not configured', 503));
+    }
+
+    const { limit } = req.body;
+
+    // Runs in the background; progress is visible through the sync logs
+    tmdbSyncService.runSync({
+      limit: limit ? parseInt(limit) : undefined,
+      trigger: 'manual',
+      userId: req.user._id
+    }).catch(error => console.error('Manual TMDB sync error:', error));
+
+    res.status(202).json(createSuccessResponse(null, 'TMDB sync started'));
+
+  } catch (error) {
+    console.error('Run TMDB sync error:', error);
+    res.status(500).json(createErrorResponse('Failed to start TMDB sync', 500, error.message));
+  }
+};
+
+// Resync a single movie or series now (Admin/Moderator)
+export const syncTmdbItem = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const contentType = type === 'series' ? 'Series' : 'Movie';
+
+    const log = await tmdbSyncService.syncOne(contentType, id, {
+      trigger: 'manual',
+      userId: req.user._id
+    });
+
+    if (log.status === 'failed') {
+      return res.status(502).json(createErrorResponse('TMDB sync failed', 502, log.error));
+    }
+
+    res.json(createSuccessResponse({ log }, log.status === 'updated'
+      ? `${contentType} metadata updated from TMDB`
+      : `${contentType} metadata is already up to date`));
+
+  } catch (error) {
+    console.error('Sync TMDB item error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(createErrorResponse(error.message, 404));
+    }
+    if (error.message.includes('no TMDB ID')) {
+      return res.status(400).json(createErrorResponse(error.message, 400));
+    }
+
+    res.status(500).json(createErrorResponse('Failed to sync item', 500, error.message));
+  }
+};
+
+// Start new-episode ingestion for returning series (Admin/Moderator)
+export const runEpisodeIngest = async (req, res) => {
+  try {
+    if (episodeIngestService.running) {
+      return res.status(409).json(createErrorResponse('Episode ingest is already running', 409));
+    }
+    if (!tmdbService.isConfigured()) {
+      return res.status(503).json(createErrorResponse('TMDB API key not configured', 503));
+    }
+
+    // Runs in the background; results are visible through the sync logs
+    episodeIngestService.runIngest({
+      trigger: 'manual',
+      userId: req.user._id
+    }).catch(error => console.error('Manual episode ingest error:', error));
+
+    res.status(202).json(createSuccessResponse(null, 'Episode ingest started'));
+
+  } catch (error) {
+    console.error('Run episode ingest error:', error);
+    res.status(500).json(createErrorResponse('Failed to start episode ingest', 500, error.message));
+  }
+};
+
+// Ingest new episodes for a single series now (Admin/Moderator)
+export const ingestSeriesEpisodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const log = await episodeIngestService.ingestOne(req.params.id, {
+      trigger: 'manual',
+      userId: req.user._id
+    });
+
+    if (log.status === 'failed') {
+      return res.status(502).json(createErrorResponse('Episode ingest failed', 502, log.error));
+    }
+
+    res.json(createSuccessResponse({ log }, log.status === 'updated'
+      ? `${log.changes[0].to.length} new episode(s) added`
+      : 'No new episodes found'));
+
+  } catch (error) {
+    console.error('Ingest series episodes error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json(createErrorResponse(error.message, 404));
+    }
+    if (error.message.includes('no TMDB ID')) {
+      return res.status(400).json(createErrorResponse(error.message, 400));
+    }
+
+    res.status(500).json(createErrorResponse('Failed to ingest episodes', 500, error.message));
+  }
+};
+
+// Get TMDB sync change logs (Admin/Moderator)
+export const getSyncLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, kind, contentType, contentId, status, changedOnly } = req.query;
+
+    const query = {};
+    if (kind) query.kind = kind;
+    if (contentType) query.contentType = contentType;
+    if (contentId) query.contentId = contentId;
+    if (status) query.status = status;
+    if (changedOnly === 'true') query.status = 'updated';
+
+    const logs = await SyncLog.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'contentId', select: 'title slug' },
+        { path: 'triggeredBy', select: 'username' }
+      ]
+    });
+
+    res.json(createSuccessResponse({
+      logs: logs.docs,
+      pagination: {
+        currentPage: logs.page,
+        totalPages: logs.totalPages,
+        totalItems: logs.totalDocs,
+        hasNextPage: logs.hasNextPage,
+        hasPrevPage: logs.hasPrevPage,
+        limit: logs.limit
+      }
+    }));
+
+  } catch (error) {
+    console.error('Get sync logs error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch sync logs', 500, error.message));
+  }
+};
+
+export default {
+  getTmdbStatus,
+  searchTmdb,
+  previewTmdbItem,
+  importTmdbItem,
+  bulkImportTmdb,
+  getImportJobs,
+  getImportJob,
+  retryImportJob,
+  forceUpdateTmdbItem,
+  runTmdbSync,
+  syncTmdbItem,
+  runEpisodeIngest,
+  ingestSeriesEpisodes,
+  getSyncLogs
+};
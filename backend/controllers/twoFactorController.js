@@ -0,0 +1,205 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import twoFactorService, { TWO_FACTOR_FIELDS } from '../services/twoFactorService.js';
+
+// Get two-factor status for the current user
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: twoFactorService.getStatus(user)
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Start enrollment: returns the secret and otpauth:// URI to show as a QR code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = await twoFactorService.beginEnrollment(user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Confirm enrollment with a code from the authenticator app
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const backupCodes = await twoFactorService.confirmEnrollment(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace backup codes; needs a current code
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await twoFactorService.loadUser(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await twoFactorService.verify(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user);
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated. Previous codes no longer work.',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate backup codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Turn 2FA off; needs the password and a current code. Not allowed for roles that require it.
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (twoFactorService.isRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !(await twoFactorService.verify(user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor authentication code'
+      });
+    }
+
+    await twoFactorService.disable(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
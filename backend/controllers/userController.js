@@ -0,0 +1,396 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Review from '../models/Review.js';
+import Comment from '../models/Comment.js';
+import WatchHistory from '../models/WatchHistory.js';
+import auditService from '../services/auditService.js';
+import permissionService from '../services/permissionService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import { createErrorResponse, createSuccessResponse, escapeRegex } from '../utils/helpers.js';
+
+const USER_LIST_FIELDS = '-watchlist -password';
+
+const USER_SORTS = {
+  createdAt: 'createdAt',
+  lastLogin: 'lastLogin',
+  username: 'username'
+};
+
+const formatPagination = (result) => ({
+  currentPage: result.page,
+  totalPages: result.totalPages,
+  totalItems: result.totalDocs,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  limit: result.limit
+});
+
+// End every session of the given users; also rejects access tokens issued before now
+const revokeSessions = async (userIds, reason) => {
+  await User.updateMany({ _id: { $in: [].concat(userIds) } }, { tokensInvalidatedAt: new Date() });
+  return sessionService.revokeAllForUser(userIds, reason);
+};
+
+// Whether removing these users from the active admins would leave none
+const wouldRemoveLastAdmin = async (userIds) => {
+  const remaining = await User.countDocuments({
+    _id: { $nin: userIds },
+    role: 'admin',
+    isActive: true
+  });
+  return remaining === 0;
+};
+
+// List users with search and filters (Admin)
+export const getUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      status,
+      lastLoginBefore,
+      lastLoginAfter,
+      neverLoggedIn,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const query = {};
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (status === 'locked') {
+      query.lockUntil = { $gt: new Date() };
+    } else if (status) {
+      query.isActive = status === 'active';
+    }
+    if (neverLoggedIn === 'true') {
+      query.lastLogin = null;
+    } else if (lastLoginBefore || lastLoginAfter) {
+      query.lastLogin = {};
+      if (lastLoginBefore) query.lastLogin.$lte = new Date(lastLoginBefore);
+      if (lastLoginAfter) query.lastLogin.$gte = new Date(lastLoginAfter);
+    }
+
+    const result = await User.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { [USER_SORTS[sortBy] || 'createdAt']: sortOrder === 'asc' ? 1 : -1 },
+      select: USER_LIST_FIELDS,
+      lean: true
+    });
+
+    res.json(createSuccessResponse({
+      users: result.docs,
+      pagination: formatPagination(result)
+    }));
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch users', 500, error.message));
+  }
+};
+
+// Get one user with activity counts and signed-in devices (Admin)
+export const getUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { watchlist = [], ...user } = await User.findById(req.params.id).lean() || {};
+    if (!user._id) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    const [reviews, comments, history, sessions] = await Promise.all([
+      Review.countDocuments({ user: user._id }),
+      Comment.countDocuments({ user: user._id, status: { $ne: 'deleted' } }),
+      WatchHistory.countDocuments({ user: user._id }),
+      sessionService.listForUser(user._id)
+    ]);
+
+    res.json(createSuccessResponse({
+      user,
+      stats: { watchlist: watchlist.length, reviews, comments, history },
+      sessions
+    }));
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch user', 500, error.message));
+  }
+};
+
+// Change a user's role (Admin)
+export const updateUserRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json(createErrorResponse('You cannot change your own role', 400));
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (user.role === role) {
+      return res.json(createSuccessResponse({ user }, 'Role unchanged'));
+    }
+
+    if (!permissionService.coversRole(req.user, role)) {
+      return res.status(403).json(createErrorResponse('You cannot assign a role with permissions you do not have', 403));
+    }
+    if (!permissionService.coversRole(req.user, user.role)) {
+      return res.status(403).json(createErrorResponse('You cannot change the role of a user with permissions you do not have', 403));
+    }
+
+    if (user.role === 'admin' && user.isActive && await wouldRemoveLastAdmin([user._id])) {
+      return res.status(409).json(createErrorResponse('Cannot demote the last active admin', 409));
+    }
+
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    res.json(createSuccessResponse({ user }, `Role changed to ${role}`));
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json(createErrorResponse('Failed to update role', 500, error.message));
+  }
+};
+
+// Activate or deactivate a user; deactivation also ends their sessions (Admin)
+export const updateUserStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (!isActive && id === req.user._id.toString()) {
+      return res.status(400).json(createErrorResponse('You cannot deactivate your own account', 400));
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    if (!isActive && user.role === 'admin' && user.isActive && await wouldRemoveLastAdmin([user._id])) {
+      return res.status(409).json(createErrorResponse('Cannot deactivate the last active admin', 409));
+    }
+
+    user.isActive = isActive;
+    await user.save({ validateBeforeSave: false });
+
+    if (!isActive) {
+      await revokeSessions(user._id, 'deactivated');
+    }
+
+    res.json(createSuccessResponse({ user }, isActive ? 'User activated' : 'User deactivated'));
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json(createErrorResponse('Failed to update user status', 500, error.message));
+  }
+};
+
+// Revoke all sessions of a user (Admin)
+export const forceLogoutUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    const revokedSessions = await revokeSessions(user._id, 'admin');
+
+    res.json(createSuccessResponse({ user, revokedSessions }, 'User logged out of all sessions'));
+
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json(createErrorResponse('Failed to log out user', 500, error.message));
+  }
+};
+
+// Lift a login lockout early (Admin)
+export const unlockUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, lockUntil: null },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    res.json(createSuccessResponse({ user }, 'User unlocked'));
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json(createErrorResponse('Failed to unlock user', 500, error.message));
+  }
+};
+
+// Clear a user's 2FA (lost device); staff must enroll again at their next login (Admin)
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json(createErrorResponse('You cannot reset your own two-factor authentication', 400));
+    }
+
+    const user = await twoFactorService.loadUser(req.params.id);
+    if (!user) {
+      return res.status(404).json(createErrorResponse('User not found', 404));
+    }
+
+    await twoFactorService.disable(user);
+
+    res.json(createSuccessResponse({ user }, 'Two-factor authentication reset'));
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json(createErrorResponse('Failed to reset two-factor authentication', 500, error.message));
+  }
+};
+
+// Apply an action to many users at once; your own account is skipped (Admin)
+export const bulkUpdateUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { action, role } = req.body;
+    const selfId = req.user._id.toString();
+
+    if (action === 'set-role' && req.body.userIds.includes(selfId)) {
+      return res.status(400).json(createErrorResponse('You cannot change your own role', 400));
+    }
+
+    const userIds = [...new Set(req.body.userIds)].filter(id => id !== selfId);
+
+    if (userIds.length === 0) {
+      return res.status(400).json(createErrorResponse('No users to update (your own account is skipped)', 400));
+    }
+
+    if (action === 'set-role') {
+      const currentRoles = await User.distinct('role', { _id: { $in: userIds } });
+      if (!permissionService.coversRole(req.user, role)) {
+        return res.status(403).json(createErrorResponse('You cannot assign a role with permissions you do not have', 403));
+      }
+      if (!currentRoles.every(currentRole => permissionService.coversRole(req.user, currentRole))) {
+        return res.status(403).json(createErrorResponse('You cannot change the role of a user with permissions you do not have', 403));
+      }
+    }
+
+    // Deactivating or demoting admins must leave at least one active admin
+    const removesAdmins = action === 'deactivate' || (action === 'set-role' && role !== 'admin');
+    if (removesAdmins) {
+      const affectedAdmins = await User.find({ _id: { $in: userIds }, role: 'admin', isActive: true }).select('_id').lean();
+      if (affectedAdmins.length > 0 && await wouldRemoveLastAdmin(affectedAdmins.map(user => user._id))) {
+        return res.status(409).json(createErrorResponse('This would leave no active admin', 409));
+      }
+    }
+
+    let update;
+    switch (action) {
+      case 'activate':
+        update = { isActive: true };
+        break;
+      case 'deactivate':
+        update = { isActive: false };
+        break;
+      case 'logout':
+        update = { tokensInvalidatedAt: new Date() };
+        break;
+      case 'set-role':
+        update = { role };
+        break;
+      default:
+        return res.status(400).json(createErrorResponse('Invalid action', 400));
+    }
+
+    const loadSummaries = async () => {
+      const users = await User.find({ _id: { $in: userIds } }).select(auditService.getProjection()).lean();
+      return users.map(user => ({ id: user._id.toString(), ...auditService.summarize(user) }));
+    };
+
+    const before = await loadSummaries();
+    const result = await User.updateMany({ _id: { $in: userIds } }, update);
+    if (action === 'deactivate' || action === 'logout') {
+      await revokeSessions(userIds, action === 'deactivate' ? 'deactivated' : 'admin');
+    }
+
+    res.locals.audit = {
+      action: `admin.users.bulk.${action}`,
+      targetType: 'User',
+      before,
+      after: await loadSummaries(),
+      details: { userIds, action, role }
+    };
+
+    res.json(createSuccessResponse({
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount
+    }, `Bulk ${action} completed successfully`));
+
+  } catch (error) {
+    console.error('Bulk update users error:', error);
+    res.status(500).json(createErrorResponse('Bulk operation failed', 500, error.message));
+  }
+};
+
+export default {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forceLogoutUser,
+  unlockUser,
+  resetUserTwoFactor,
+  bulkUpdateUsers
+};
@@ -0,0 +1,170 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+const WATCHLIST_FIELDS = 'title slug posterPath type rating releaseYear genres quality status adminStatus';
+
+// Resolve a 'movie' | 'series' param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+// Ids of the watchlist titles that are still published (and not in the trash)
+const getVisibleIds = async (watchlist) => {
+  const visible = new Set();
+
+  for (const { contentType, Model } of [getContentModel('movie'), getContentModel('series')]) {
+    const ids = watchlist.filter(entry => entry.contentType === contentType).map(entry => entry.contentItem);
+    if (ids.length === 0) continue;
+
+    const docs = await Model.find({ _id: { $in: ids }, adminStatus: 'Published' }).select('_id').lean();
+    docs.forEach(doc => visible.add(doc._id.toString()));
+  }
+
+  return visible;
+};
+
+// Get the current user's watchlist
+export const getWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type } = req.query;
+
+    const user = await User.findById(req.user._id)
+      .select('watchlist')
+      .populate({
+        path: 'watchlist.contentItem',
+        select: WATCHLIST_FIELDS
+      })
+      .lean();
+
+    // Drop entries whose title was removed or unpublished
+    let watchlist = user.watchlist.filter(entry => entry.contentItem && entry.contentItem.adminStatus === 'Published');
+
+    if (type) {
+      const { contentType } = getContentModel(type);
+      watchlist = watchlist.filter(entry => entry.contentType === contentType);
+    }
+
+    res.json(createSuccessResponse({
+      watchlist: watchlist.map(({ _id, contentItem, contentType, addedAt }) => ({
+        _id,
+        contentType,
+        addedAt,
+        content: contentItem
+      })),
+      total: watchlist.length
+    }));
+
+  } catch (error) {
+    console.error('Get watchlist error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch watchlist', 500, error.message));
+  }
+};
+
+// Add a movie or series to the current user's watchlist
+export const addToWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, contentId } = req.body;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findOne({ _id: contentId, adminStatus: 'Published' }).select(WATCHLIST_FIELDS);
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    // Only push when the item isn't already present, so concurrent requests can't duplicate it
+    const result = await User.updateOne(
+      { _id: req.user._id, 'watchlist.contentItem': { $ne: content._id } },
+      { $push: { watchlist: { contentItem: content._id, contentType, addedAt: new Date() } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json(createErrorResponse(`${contentType} is already in your watchlist`, 409));
+    }
+
+    res.status(201).json(createSuccessResponse({ contentType, content }, `${contentType} added to watchlist`));
+
+  } catch (error) {
+    console.error('Add to watchlist error:', error);
+    res.status(500).json(createErrorResponse('Failed to add to watchlist', 500, error.message));
+  }
+};
+
+// Remove an item from the current user's watchlist
+export const removeFromWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { watchlist: { contentItem: req.params.contentId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json(createErrorResponse('Item is not in your watchlist', 404));
+    }
+
+    res.json(createSuccessResponse(null, 'Removed from watchlist'));
+
+  } catch (error) {
+    console.error('Remove from watchlist error:', error);
+    res.status(500).json(createErrorResponse('Failed to remove from watchlist', 500, error.message));
+  }
+};
+
+// Reorder the current user's watchlist
+export const reorderWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { order } = req.body;
+    const user = await User.findById(req.user._id).select('watchlist');
+
+    const entries = new Map(user.watchlist.map(entry => [entry.contentItem.toString(), entry]));
+    const visibleIds = await getVisibleIds(user.watchlist);
+    const uniqueIds = new Set(order);
+
+    // The new order must list every item the watchlist shows exactly once
+    if (uniqueIds.size !== order.length || order.length !== visibleIds.size || !order.every(id => visibleIds.has(id))) {
+      return res.status(400).json(createErrorResponse('Order must contain every watchlist item exactly once', 400));
+    }
+
+    // Hidden (unpublished or trashed) titles keep their slots; visible ones fill the rest in the new order
+    const reordered = order.map(id => entries.get(id));
+    user.watchlist = user.watchlist.map(entry => (visibleIds.has(entry.contentItem.toString()) ? reordered.shift() : entry));
+    await user.save({ validateBeforeSave: false });
+
+    res.json(createSuccessResponse({
+      order: user.watchlist.map(entry => entry.contentItem)
+    }, 'Watchlist reordered'));
+
+  } catch (error) {
+    console.error('Reorder watchlist error:', error);
+    res.status(500).json(createErrorResponse('Failed to reorder watchlist', 500, error.message));
+  }
+};
+
+export default {
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  reorderWatchlist
+};
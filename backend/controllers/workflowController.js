@@ -0,0 +1,159 @@
+import { validationResult } from 'express-validator';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import WorkflowLog from '../models/WorkflowLog.js';
+import permissionService from '../services/permissionService.js';
+import workflowService from '../services/workflowService.js';
+import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
+
+// Resolve a 'movie' | 'series' param to a content model
+const getContentModel = (type) => (type === 'series'
+  ? { contentType: 'Series', Model: Series }
+  : { contentType: 'Movie', Model: Movie });
+
+const QUEUE_FIELDS = 'title slug posterPath adminStatus publishAt publishedAt workflow addedBy lastModifiedBy updatedAt';
+
+const formatPagination = (result) => ({
+  currentPage: result.page,
+  totalPages: result.totalPages,
+  totalItems: result.totalDocs,
+  hasNextPage: result.hasNextPage,
+  hasPrevPage: result.hasPrevPage,
+  limit: result.limit
+});
+
+// List titles in a workflow state; moderators only see their own (Moderator)
+export const getWorkflowQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { page = 1, limit = 20, status = 'Pending' } = req.query;
+    const { Model } = getContentModel(req.params.type);
+
+    const query = { adminStatus: status };
+    if (!permissionService.hasPermission(req.user, 'content.edit.any')) {
+      query.addedBy = req.user._id;
+    }
+
+    // Scheduled titles in publish order, everything else oldest submission first
+    const sort = status === 'Scheduled'
+      ? { publishAt: 1 }
+      : { 'workflow.submittedAt': 1, updatedAt: 1 };
+
+    const result = await Model.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort,
+      select: QUEUE_FIELDS,
+      populate: [
+        { path: 'addedBy', select: 'username' },
+        { path: 'workflow.submittedBy', select: 'username' },
+        { path: 'workflow.reviewedBy', select: 'username' }
+      ]
+    });
+
+    const items = result.docs.map(item => ({
+      ...item.toObject(),
+      availableActions: workflowService.getAvailableActions(item, req.user)
+    }));
+
+    res.json(createSuccessResponse({
+      items,
+      pagination: formatPagination(result)
+    }));
+
+  } catch (error) {
+    console.error('Get workflow queue error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch workflow queue', 500, error.message));
+  }
+};
+
+// Take a workflow action on a movie or series (Moderator; some actions Admin)
+export const applyWorkflowAction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id, action } = req.params;
+    const { note = '', publishAt } = req.body;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findById(id).select('adminStatus addedBy');
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    const updated = await workflowService.transition(contentType, content, action, req.user, { note, publishAt });
+
+    res.json(createSuccessResponse({
+      id: updated._id,
+      slug: updated.slug,
+      adminStatus: updated.adminStatus,
+      publishAt: updated.publishAt,
+      publishedAt: updated.publishedAt,
+      workflow: updated.workflow,
+      availableActions: workflowService.getAvailableActions(updated, req.user)
+    }, `${contentType} is now ${updated.adminStatus}`));
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json(createErrorResponse(error.message, error.statusCode));
+    }
+    console.error('Apply workflow action error:', error);
+    res.status(500).json(createErrorResponse('Failed to update workflow status', 500, error.message));
+  }
+};
+
+// Transition log for a movie or series (Moderator)
+export const getWorkflowHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json(createErrorResponse('Validation failed', 400, errors.array()));
+    }
+
+    const { type, id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const { contentType, Model } = getContentModel(type);
+
+    const content = await Model.findById(id).withDeleted().select('title slug adminStatus addedBy');
+    if (!content) {
+      return res.status(404).json(createErrorResponse(`${contentType} not found`, 404));
+    }
+
+    const result = await WorkflowLog.paginate({ contentId: content._id }, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: { path: 'actor', select: 'username role' },
+      lean: true
+    });
+
+    res.json(createSuccessResponse({
+      content: {
+        id: content._id,
+        title: content.title,
+        slug: content.slug,
+        adminStatus: content.adminStatus,
+        availableActions: workflowService.getAvailableActions(content, req.user)
+      },
+      history: result.docs,
+      pagination: formatPagination(result)
+    }));
+
+  } catch (error) {
+    console.error('Get workflow history error:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch workflow history', 500, error.message));
+  }
+};
+
+export default {
+  getWorkflowQueue,
+  applyWorkflowAction,
+  getWorkflowHistory
+};
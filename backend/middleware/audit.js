@@ -0,0 +1,128 @@
+import auditService from '../services/auditService.js';
+
+// Reads are not audited
+const AUDITED_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Model acted on by routes under each mount path
+const TARGET_MODELS = {
+  '/api/movies': 'Movie',
+  '/api/series': 'Series',
+  '/api/ads': 'Ad',
+  '/api/reviews': 'Review',
+  '/api/comments': 'Comment',
+  '/api/admin/users': 'User',
+  '/api/admin/roles': 'Role',
+  '/api/admin/api-keys': 'ApiKey'
+};
+
+// Route params that hold the target document's id
+const TARGET_PARAMS = ['id', 'reviewId', 'commentId'];
+
+const METHOD_VERBS = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// Work out the model and document a request acts on from its params
+const resolveTarget = (req) => {
+  const { type } = req.params;
+  const idParam = TARGET_PARAMS.find(param => req.params[param]);
+  const targetId = idParam ? req.params[idParam] : null;
+
+  if (type === 'movie' || type === 'series') {
+    return { targetType: type === 'series' ? 'Series' : 'Movie', targetId };
+  }
+
+  return { targetType: TARGET_MODELS[req.baseUrl] || null, targetId };
+};
+
+// e.g. PUT /api/movies/:id -> movies.update, POST /api/movies/:id/servers -> movies.servers.create
+const getActionName = (req) => {
+  const resource = req.baseUrl.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+  const segments = (req.route?.path || '').split('/').filter(segment => segment && !segment.startsWith(':'));
+
+  return [...resource, ...segments, METHOD_VERBS[req.method]].join('.');
+};
+
+// Body fields map onto the document only when the route targets it directly (/:id)
+const getBodyFields = (req) => {
+  const targetsDocument = /\/:(id|reviewId|commentId)$/.test(req.route?.path || '');
+  return targetsDocument && req.body ? Object.keys(req.body) : [];
+};
+
+// Record the request once the response has been sent. Controllers can add to
+// or override what is logged through res.locals.audit
+// ({ action, targetType, targetId, before, after, details }).
+const recordRequest = async (req, res, beforeDoc) => {
+  const overrides = res.locals.audit || {};
+  const resolved = resolveTarget(req);
+  const targetType = overrides.targetType || resolved.targetType;
+  const fields = getBodyFields(req);
+
+  // Creates only know their target id from the response
+  const responseData = res.locals.auditResponse?.data;
+  const createdId = responseData
+    && (responseData.id || responseData._id || Object.values(responseData).find(value => value?._id)?._id);
+  const targetId = overrides.targetId || resolved.targetId || (req.method === 'POST' ? createdId : null) || null;
+
+  const afterDoc = overrides.after === undefined && res.statusCode < 400
+    ? await auditService.loadTarget(targetType, targetId, fields)
+    : null;
+
+  await auditService.log({
+    actor: req.user?._id || null,
+    actorName: req.user?.username || '',
+    actorRole: req.user?.role || '',
+    apiKey: req.apiKey?._id || null,
+    action: overrides.action || getActionName(req),
+    method: req.method,
+    statusCode: res.statusCode,
+    success: res.statusCode < 400,
+    ...auditService.getRequestInfo(req),
+    targetType,
+    targetId: targetId?.toString() || null,
+    before: overrides.before !== undefined ? overrides.before : auditService.summarize(beforeDoc, fields),
+    after: overrides.after !== undefined ? overrides.after : auditService.summarize(afterDoc, fields),
+    details: overrides.details !== undefined
+      ? auditService.summarizeValue('details', overrides.details)
+      : auditService.summarizeValue('body', req.body || {})
+  });
+};
+
+// Audit a privileged write. Runs from requirePermission, so every
+// staff route is covered; loads the target's "before" state, then logs on finish.
+export const auditRequest = async (req, res, next) => {
+  if (!AUDITED_METHODS.has(req.method) || res.locals.auditing) {
+    return next();
+  }
+  res.locals.auditing = true;
+
+  // Keep the response body so creates can be linked to the new document
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.auditResponse = body;
+    return json(body);
+  };
+
+  let beforeDoc = null;
+  try {
+    const { targetType, targetId } = resolveTarget(req);
+    beforeDoc = await auditService.loadTarget(targetType, targetId, getBodyFields(req));
+  } catch (error) {
+    console.error('Failed to load audit target:', error.message);
+  }
+
+  res.on('finish', () => {
+    recordRequest(req, res, beforeDoc).catch(error => {
+      console.error('Failed to record audit entry:', error.message);
+    });
+  });
+
+  next();
+};
+
+export default {
+  auditRequest
+};
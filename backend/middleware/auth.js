@@ -1,5 +1,9 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import apiKeyService from '../services/apiKeyService.js';
+import sessionService from '../services/sessionService.js';
+import permissionService from '../services/permissionService.js';
+import { auditRequest } from './audit.js';
 
 // Verify JWT token
 export const authenticateToken = async (req, res, next) => {
@@ -15,7 +19,7 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password -refreshToken');
+    const user = await User.findById(decoded.id).select('-password');
 
     if (!user || !user.isActive) {
       return res.status(401).json({
@@ -24,7 +28,19 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens from before sessions existed carry no sid
+    const sessionRevoked = decoded.sid && !(await sessionService.isActive(decoded.sid, user._id));
+    if (user.isTokenRevoked(decoded) || sessionRevoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked, please log in again'
+      });
+    }
+
+    await permissionService.load();
+
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -49,27 +65,76 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check if user is admin
-export const requireAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    return next();
+// Verify an X-API-Key header. The request acts as the key's user, limited to the key's scopes.
+export const authenticateApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, user } = await apiKeyService.resolve(req);
+
+    await permissionService.load();
+
+    user.apiKeyScopes = apiKey.scopes;
+    req.user = user;
+    req.apiKey = apiKey;
+    req.sessionId = null;
+    apiKeyService.recordUse(apiKey, req);
+
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'API key verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Routes that scripts may call: accept an API key, otherwise a JWT
+export const authenticateTokenOrApiKey = (req, res, next) => (
+  req.get('X-API-Key') ? authenticateApiKey(req, res, next) : authenticateToken(req, res, next)
+);
+
+// Require every listed permission (privileged writes are audited)
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !permissionService.hasPermission(req.user, permission));
+
+  if (req.user && missing.length === 0) {
+    return auditRequest(req, res, next);
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: `Permission required: ${missing.join(', ')}`
+  });
+};
+
+// Require at least one of the given permissions
+export const requireAnyPermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => permissionService.hasPermission(req.user, permission))) {
+    return auditRequest(req, res, next);
   }
 
   return res.status(403).json({
     success: false,
-    message: 'Admin access required'
+    message: `Permission required: ${permissions.join(' or ')}`
   });
 };
 
-// Check if user is admin or moderator
-export const requireModerator = (req, res, next) => {
-  if (req.user && (req.user.role === 'admin' || req.user.role === 'moderator')) {
+// Require a verified email before posting community content (staff are exempt)
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && (req.user.emailVerified || permissionService.isStaff(req.user))) {
     return next();
   }
 
   return res.status(403).json({
     success: false,
-    message: 'Moderator or admin access required'
+    message: 'Please verify your email address first'
   });
 };
 
@@ -81,10 +146,13 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password -refreshToken');
+      const user = await User.findById(decoded.id).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.isTokenRevoked(decoded)
+        && (!decoded.sid || await sessionService.isActive(decoded.sid, user._id))) {
+        await permissionService.load();
         req.user = user;
+        req.sessionId = decoded.sid || null;
       }
     }
     
@@ -94,32 +162,3 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
-
-// Check ownership or admin access
-export const requireOwnershipOrAdmin = (resourceUserField = 'addedBy') => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    // Admin can access everything
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
-    // Check if user owns the resource
-    if (req.resource && req.resource[resourceUserField]) {
-      if (req.resource[resourceUserField].toString() === req.user._id.toString()) {
-        return next();
-      }
-    }
-
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied: insufficient permissions'
-    });
-  };
-};
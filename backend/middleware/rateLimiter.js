@@ -0,0 +1,76 @@
+import rateLimit from 'express-rate-limit';
+import apiKeyService from '../services/apiKeyService.js';
+
+// Rate limiter keyed by the authenticated user, falling back to IP.
+// Must run after authenticateToken/optionalAuth so req.user is set.
+export const createUserRateLimiter = ({ windowMinutes, max, message }) => rateLimit({
+  windowMs: windowMinutes * 60 * 1000,
+  max,
+  keyGenerator: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`),
+  message: {
+    success: false,
+    message
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Comment posting, editing, deleting, voting and reporting
+export const commentLimiter = createUserRateLimiter({
+  windowMinutes: parseInt(process.env.COMMENT_RATE_LIMIT_WINDOW) || 15,
+  max: parseInt(process.env.COMMENT_RATE_LIMIT_MAX) || 30,
+  message: 'Too many comment actions, please slow down and try again later.'
+});
+
+// Comment moderation actions, with more headroom than commentLimiter for queue work
+export const moderationLimiter = createUserRateLimiter({
+  windowMinutes: parseInt(process.env.MODERATION_RATE_LIMIT_WINDOW) || 15,
+  max: parseInt(process.env.MODERATION_RATE_LIMIT_MAX) || 300,
+  message: 'Too many moderation actions, please slow down and try again later.'
+});
+
+// Password logins, per IP; failed passwords only lock staff accounts
+export const loginLimiter = createUserRateLimiter({
+  windowMinutes: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW) || 15,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+  message: 'Too many login attempts, please try again later.'
+});
+
+// Requests that send account emails (password reset, verification)
+export const accountEmailLimiter = createUserRateLimiter({
+  windowMinutes: parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT_WINDOW) || 15,
+  max: parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT_MAX) || 5,
+  message: 'Too many email requests, please try again later.'
+});
+
+// Two-factor code attempts, including the second login step
+export const twoFactorLimiter = createUserRateLimiter({
+  windowMinutes: parseInt(process.env.TWO_FACTOR_RATE_LIMIT_WINDOW) || 15,
+  max: parseInt(process.env.TWO_FACTOR_RATE_LIMIT_MAX) || 10,
+  message: 'Too many two-factor attempts, please try again later.'
+});
+
+// Every request carrying a valid API key, limited per key and per minute.
+// Mounted on all API routes next to the global limiter, which skips these requests.
+export const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  skip: (req) => !req.get('X-API-Key') || apiKeyService.resolve(req).then(() => false, () => true),
+  max: async (req) => apiKeyService.getRateLimit((await apiKeyService.resolve(req)).apiKey),
+  keyGenerator: async (req) => `apikey:${(await apiKeyService.resolve(req)).apiKey._id}`,
+  message: {
+    success: false,
+    message: 'API key rate limit exceeded, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+export default {
+  createUserRateLimiter,
+  commentLimiter,
+  moderationLimiter,
+  loginLimiter,
+  accountEmailLimiter,
+  twoFactorLimiter,
+  apiKeyLimiter
+};
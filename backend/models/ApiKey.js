@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+import { PERMISSION_NAMES } from '../config/permissions.js';
+
+// An admin-issued key for scripts and bots. Requests made with it act as `user`,
+// limited to the permissions in `scopes` that the user's role also grants.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  // First characters of the key, shown in lists to tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // sha256 of the key; the key itself is only shown once, when issued
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: PERMISSION_NAMES,
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required'],
+  },
+  // Requests per minute; null uses API_KEY_RATE_LIMIT_MAX
+  rateLimitPerMinute: {
+    type: Number,
+    min: 1,
+    max: 10000,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: '',
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+apiKeySchema.index({ createdAt: -1 });
+
+// Add pagination plugin
+apiKeySchema.plugin(mongoosePaginate);
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// One document per privileged request (or explicit security event such as an admin login)
+const auditLogSchema = new mongoose.Schema({
+  // null for failed logins and other events without an authenticated user
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Copied at the time of the event so the log survives renames and deletions
+  actorName: {
+    type: String,
+    default: '',
+  },
+  actorRole: {
+    type: String,
+    default: '',
+  },
+  // Set when the actor authenticated with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null,
+  },
+  // e.g. movie.update, ad.bulk-update, auth.admin-login
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  // Route pattern (/api/movies/:id) and the concrete URL that was called
+  route: {
+    type: String,
+    default: '',
+  },
+  path: {
+    type: String,
+    default: '',
+  },
+  statusCode: {
+    type: Number,
+    default: null,
+  },
+  success: {
+    type: Boolean,
+    default: true,
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  targetType: {
+    type: String,
+    default: null,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Summaries of the fields the request touched, before and after it ran
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false,
+});
+
+// Indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Add pagination plugin
+auditLogSchema.plugin(mongoosePaginate);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
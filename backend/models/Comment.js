@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// Deepest reply level; replies to deeper comments attach to this level
+export const MAX_COMMENT_DEPTH = 3;
+
+const commentReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'spoiler', 'harassment', 'other'],
+    default: 'other',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const commentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  // Set when the comment is about a specific episode (seasons.episodes._id)
+  episodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Top-level comment of the thread (null for top-level comments)
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_COMMENT_DEPTH,
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+  },
+  isSpoiler: {
+    type: Boolean,
+    default: false,
+  },
+  upvotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  upvoteCount: {
+    type: Number,
+    default: 0,
+  },
+  replyCount: {
+    type: Number,
+    default: 0,
+  },
+  reports: [commentReportSchema],
+  reportCount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ['visible', 'hidden', 'deleted'],
+    default: 'visible',
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  moderatedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+commentSchema.index({ contentId: 1, episodeId: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ root: 1, createdAt: 1 });
+commentSchema.index({ status: 1, reportCount: -1 });
+commentSchema.index({ user: 1, createdAt: -1 });
+
+// Add pagination plugin
+commentSchema.plugin(mongoosePaginate);
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One document per content item (or episode) per UTC day
+const contentActivitySchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  // Set for episode-level activity, null for title-level activity
+  episodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+  downloads: {
+    type: Number,
+    default: 0,
+  },
+  likes: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+contentActivitySchema.index({ contentType: 1, contentId: 1, episodeId: 1, date: 1 }, { unique: true });
+contentActivitySchema.index({ date: 1, contentType: 1 });
+
+const ContentActivity = mongoose.model('ContentActivity', contentActivitySchema);
+
+export default ContentActivity;
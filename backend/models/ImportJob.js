@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const jobItemSchema = new mongoose.Schema({
+  tmdbId: {
+    type: Number,
+    required: [true, 'TMDB ID is required'],
+  },
+  title: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'imported', 'skipped', 'failed'],
+    default: 'pending',
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  created: {
+    type: Boolean,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: '',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+const importJobSchema = new mongoose.Schema({
+  mediaType: {
+    type: String,
+    enum: ['movie', 'series'],
+    required: [true, 'Media type is required'],
+  },
+  source: {
+    type: String,
+    enum: ['ids', 'popular'],
+    required: [true, 'Job source is required'],
+  },
+  options: {
+    pages: {
+      type: Number,
+      default: 1,
+      min: [1, 'Pages must be at least 1'],
+    },
+    importSeasons: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'partial'],
+    default: 'queued',
+  },
+  items: [jobItemSchema],
+  error: {
+    type: String,
+    default: '',
+  },
+  runs: {
+    type: Number,
+    default: 0,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ createdBy: 1 });
+importJobSchema.index({ createdAt: -1 });
+
+// Virtual for job progress
+importJobSchema.virtual('progress').get(function() {
+  const total = this.items.length;
+  const counts = { pending: 0, imported: 0, skipped: 0, failed: 0 };
+  this.items.forEach(item => {
+    counts[item.status] += 1;
+  });
+  const processed = total - counts.pending;
+
+  return {
+    total,
+    processed,
+    ...counts,
+    percent: total > 0 ? Math.round((processed / total) * 100) : 0
+  };
+});
+
+// Derive the final job status from item results
+importJobSchema.methods.resolveStatus = function() {
+  const { total, failed } = this.progress;
+  if (total === 0 || failed === 0) return 'succeeded';
+  if (failed === total) return 'failed';
+  return 'partial';
+};
+
+// Add pagination plugin
+importJobSchema.plugin(mongoosePaginate);
+
+// Ensure virtuals are included when converting to JSON
+importJobSchema.set('toJSON', { virtuals: true });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
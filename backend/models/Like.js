@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One like per user per movie or series. The title's `likes` counter is kept
+// in step with these documents.
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  // Episode the like was given from, for the daily activity buckets
+  episodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+likeSchema.index({ user: 1, contentId: 1 }, { unique: true });
+likeSchema.index({ contentType: 1, contentId: 1 });
+
+const Like = mongoose.model('Like', likeSchema);
+
+export default Like;
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import mongoosePaginate from 'mongoose-paginate-v2';
 import slugify from 'slugify';
+import softDelete from './plugins/softDelete.js';
+import revisions from './plugins/revisions.js';
+import linkHealth from './plugins/linkHealth.js';
 
 const serverSchema = new mongoose.Schema({
   name: {
@@ -29,6 +32,8 @@ const serverSchema = new mongoose.Schema({
   },
 }, { _id: true });
 
+serverSchema.plugin(linkHealth);
+
 const downloadLinkSchema = new mongoose.Schema({
   label: {
     type: String,
@@ -55,6 +60,8 @@ const downloadLinkSchema = new mongoose.Schema({
   },
 }, { _id: true });
 
+downloadLinkSchema.plugin(linkHealth);
+
 const downloadGroupSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -119,6 +126,16 @@ const movieSchema = new mongoose.Schema({
     min: [0, 'IMDB rating cannot be less than 0'],
     max: [10, 'IMDB rating cannot be more than 10'],
   },
+  communityRating: {
+    type: Number,
+    default: 0,
+    min: [0, 'Community rating cannot be less than 0'],
+    max: [10, 'Community rating cannot be more than 10'],
+  },
+  communityRatingCount: {
+    type: Number,
+    default: 0,
+  },
   genres: [{
     type: String,
     required: true,
@@ -141,9 +158,44 @@ const movieSchema = new mongoose.Schema({
   },
   adminStatus: {
     type: String,
-    enum: ['Draft', 'Published', 'Pending', 'Archived'],
+    enum: ['Draft', 'Pending', 'Scheduled', 'Published', 'Archived'],
     default: 'Draft',
   },
+  // Editorial workflow; adminStatus only changes through workflowService
+  publishAt: {
+    type: Date,
+    default: null,
+  },
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+  workflow: {
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review note cannot exceed 1000 characters'],
+      default: '',
+    },
+  },
   runtime: {
     type: Number, // in minutes
     default: 0,
@@ -191,6 +243,15 @@ const movieSchema = new mongoose.Schema({
     unique: true,
     sparse: true,
   },
+  lastSyncedAt: {
+    type: Date,
+    default: null,
+  },
+  // Last run of the link health checker over this movie's links
+  linksCheckedAt: {
+    type: Date,
+    default: null,
+  },
   
   // Media
   screenshots: [{
@@ -250,11 +311,13 @@ movieSchema.index({ slug: 1 });
 movieSchema.index({ genres: 1 });
 movieSchema.index({ type: 1 });
 movieSchema.index({ adminStatus: 1 });
+movieSchema.index({ adminStatus: 1, publishAt: 1 });
 movieSchema.index({ releaseYear: -1 });
 movieSchema.index({ rating: -1 });
 movieSchema.index({ createdAt: -1 });
 movieSchema.index({ tmdbId: 1 });
 movieSchema.index({ imdbId: 1 });
+movieSchema.index({ linksCheckedAt: 1 });
 
 // Generate slug before saving
 movieSchema.pre('save', function(next) {
@@ -292,6 +355,12 @@ movieSchema.virtual('fullBackdropUrl').get(function() {
 // Add pagination plugin
 movieSchema.plugin(mongoosePaginate);
 
+// Add soft delete plugin (hides trashed movies from queries)
+movieSchema.plugin(softDelete);
+
+// Add revision history plugin (snapshot and diff on every edit)
+movieSchema.plugin(revisions, { contentType: 'Movie' });
+
 // Ensure virtuals are included when converting to JSON
 movieSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const reviewFlagSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'offensive', 'spoiler', 'off-topic', 'other'],
+    default: 'other',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [10, 'Rating cannot be more than 10'],
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [150, 'Review title cannot exceed 150 characters'],
+  },
+  body: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [5000, 'Review cannot exceed 5000 characters'],
+  },
+  containsSpoilers: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['visible', 'hidden'],
+    default: 'visible',
+  },
+  flags: [reviewFlagSchema],
+  flagCount: {
+    type: Number,
+    default: 0,
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  moderatedAt: {
+    type: Date,
+    default: null,
+  },
+  moderationNote: {
+    type: String,
+    default: '',
+    maxlength: [500, 'Moderation note cannot exceed 500 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+reviewSchema.index({ user: 1, contentId: 1 }, { unique: true });
+reviewSchema.index({ contentType: 1, contentId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, flagCount: -1 });
+
+// Recompute the community rating of a title from its visible reviews
+reviewSchema.statics.recomputeRating = async function(contentType, contentId) {
+  const [result] = await this.aggregate([
+    { $match: { contentType, contentId: new mongoose.Types.ObjectId(contentId), status: 'visible' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const communityRating = result ? Math.round(result.average * 10) / 10 : 0;
+  const communityRatingCount = result ? result.count : 0;
+
+  await mongoose.model(contentType).updateOne(
+    { _id: contentId },
+    { communityRating, communityRatingCount }
+  );
+
+  return { communityRating, communityRatingCount };
+};
+
+// Add pagination plugin
+reviewSchema.plugin(mongoosePaginate);
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const revisionChangeSchema = new mongoose.Schema({
+  // Dotted path; array items with an _id are keyed by it (servers.<id>.url)
+  path: {
+    type: String,
+    required: true,
+  },
+  op: {
+    type: String,
+    enum: ['add', 'remove', 'change'],
+    required: true,
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+// One document per saved change to a movie or series
+const revisionSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'rollback'],
+    default: 'update',
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Full state of the tracked fields after this change
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Changes relative to the previous revision
+  changes: [revisionChangeSchema],
+  // Top-level fields touched by this revision, for filtering
+  changedFields: [{
+    type: String,
+  }],
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false,
+});
+
+// Indexes for better performance
+revisionSchema.index({ contentId: 1, version: -1 }, { unique: true });
+revisionSchema.index({ contentId: 1, changedFields: 1, version: -1 });
+revisionSchema.index({ author: 1, createdAt: -1 });
+
+// Add pagination plugin
+revisionSchema.plugin(mongoosePaginate);
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+export default Revision;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import { PERMISSION_NAMES } from '../config/permissions.js';
+
+// A named set of permissions; users reference roles by name
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers or dashes'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: '',
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSION_NAMES,
+    }],
+    default: [],
+  },
+  // Built-in roles (admin, user) can't be deleted or renamed
+  isSystem: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
 import slugify from 'slugify';
+import softDelete from './plugins/softDelete.js';
+import revisions from './plugins/revisions.js';
+import linkHealth from './plugins/linkHealth.js';
 
 const serverSchema = new mongoose.Schema({
   name: {
@@ -23,6 +27,8 @@ const serverSchema = new mongoose.Schema({
   },
 }, { _id: true });
 
+serverSchema.plugin(linkHealth);
+
 const downloadLinkSchema = new mongoose.Schema({
   label: {
     type: String,
@@ -43,8 +49,14 @@ const downloadLinkSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
 }, { _id: true });
 
+downloadLinkSchema.plugin(linkHealth);
+
 const episodeSchema = new mongoose.Schema({
   episodeNumber: {
     type: Number,
@@ -185,6 +197,16 @@ const seriesSchema = new mongoose.Schema({
     min: [0, 'IMDB rating cannot be less than 0'],
     max: [10, 'IMDB rating cannot be more than 10'],
   },
+  communityRating: {
+    type: Number,
+    default: 0,
+    min: [0, 'Community rating cannot be less than 0'],
+    max: [10, 'Community rating cannot be more than 10'],
+  },
+  communityRatingCount: {
+    type: Number,
+    default: 0,
+  },
   genres: [{
     type: String,
     required: true,
@@ -207,9 +229,44 @@ const seriesSchema = new mongoose.Schema({
   },
   adminStatus: {
     type: String,
-    enum: ['Draft', 'Published', 'Pending', 'Archived'],
+    enum: ['Draft', 'Pending', 'Scheduled', 'Published', 'Archived'],
     default: 'Draft',
   },
+  // Editorial workflow; adminStatus only changes through workflowService
+  publishAt: {
+    type: Date,
+    default: null,
+  },
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+  workflow: {
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review note cannot exceed 1000 characters'],
+      default: '',
+    },
+  },
   seriesStatus: {
     type: String,
     enum: ['Returning Series', 'Ended', 'Canceled', 'In Production', 'Planned'],
@@ -217,8 +274,8 @@ const seriesSchema = new mongoose.Schema({
   },
   numberOfSeasons: {
     type: Number,
-    default: 1,
-    min: [1, 'Must have at least 1 season'],
+    default: 0,
+    min: [0, 'Number of seasons cannot be negative'],
   },
   numberOfEpisodes: {
     type: Number,
@@ -299,6 +356,19 @@ const seriesSchema = new mongoose.Schema({
     type: Number,
     sparse: true,
   },
+  lastSyncedAt: {
+    type: Date,
+    default: null,
+  },
+  // Last run of the link health checker over this series' episode links
+  linksCheckedAt: {
+    type: Date,
+    default: null,
+  },
+  lastEpisodeAddedAt: {
+    type: Date,
+    default: Date.now,
+  },
   
   // Media
   screenshots: [{
@@ -357,12 +427,23 @@ seriesSchema.index({ slug: 1 });
 seriesSchema.index({ genres: 1 });
 seriesSchema.index({ type: 1 });
 seriesSchema.index({ adminStatus: 1 });
+seriesSchema.index({ adminStatus: 1, publishAt: 1 });
 seriesSchema.index({ releaseYear: -1 });
 seriesSchema.index({ rating: -1 });
 seriesSchema.index({ createdAt: -1 });
 seriesSchema.index({ tmdbId: 1 });
 seriesSchema.index({ imdbId: 1 });
 seriesSchema.index({ 'seasons.episodes._id': 1 });
+seriesSchema.index({ linksCheckedAt: 1 });
+
+// Add pagination plugin
+seriesSchema.plugin(mongoosePaginate);
+
+// Add soft delete plugin (hides trashed series from queries)
+seriesSchema.plugin(softDelete);
+
+// Add revision history plugin (snapshot and diff on every edit)
+seriesSchema.plugin(revisions, { contentType: 'Series' });
 
 // Generate slug before saving
 seriesSchema.pre('save', function(next) {
@@ -390,6 +471,38 @@ seriesSchema.pre('save', function(next) {
   next();
 });
 
+// Whether an update writes the seasons array or a season's episodes array
+// (but not fields inside an episode, such as view counters)
+const touchesEpisodeLists = (update) => {
+  if (!update || Array.isArray(update)) return false;
+
+  return Object.keys(update).some(key => {
+    if (key.startsWith('$')) {
+      return touchesEpisodeLists(update[key]);
+    }
+    return /^seasons(\.[^.]+(\.episodes)?)?$/.test(key);
+  });
+};
+
+// Recompute numberOfSeasons/numberOfEpisodes in the database
+seriesSchema.statics.recountEpisodes = function(filter) {
+  return this.updateMany(filter, [{
+    $set: {
+      numberOfSeasons: { $size: '$seasons' },
+      numberOfEpisodes: {
+        $sum: { $map: { input: '$seasons', as: 'season', in: { $size: '$$season.episodes' } } }
+      }
+    }
+  }]);
+};
+
+// Keep counts consistent for updates that bypass the save hook
+seriesSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+  if (touchesEpisodeLists(this.getUpdate())) {
+    await this.model.recountEpisodes(this.getFilter());
+  }
+});
+
 // Virtual for full poster URL
 seriesSchema.virtual('fullPosterUrl').get(function() {
   if (this.posterPath && this.posterPath.startsWith('http')) {
@@ -413,6 +526,38 @@ seriesSchema.methods.getEpisode = function(seasonNumber, episodeNumber) {
   return season.episodes.find(e => e.episodeNumber === episodeNumber);
 };
 
+// Method to find an episode by its id, with the season it belongs to
+seriesSchema.methods.findEpisodeById = function(episodeId) {
+  if (!episodeId) return null;
+
+  for (const season of this.seasons) {
+    const episode = season.episodes.id(episodeId);
+    if (episode) return { season, episode };
+  }
+  return null;
+};
+
+// Method to get the episode that follows a given one, in season order.
+// Specials (season 0) are skipped; the first regular episode is returned
+// when no position is given.
+seriesSchema.methods.getNextEpisode = function(seasonNumber = null, episodeNumber = null) {
+  const ordered = this.seasons
+    .filter(season => season.seasonNumber > 0)
+    .sort((a, b) => a.seasonNumber - b.seasonNumber)
+    .flatMap(season => [...season.episodes]
+      .sort((a, b) => a.episodeNumber - b.episodeNumber)
+      .map(episode => ({ season, episode })));
+
+  if (seasonNumber === null || episodeNumber === null) {
+    return ordered[0] || null;
+  }
+
+  const next = ordered.find(({ season, episode }) => season.seasonNumber > seasonNumber
+    || (season.seasonNumber === seasonNumber && episode.episodeNumber > episodeNumber));
+
+  return next || null;
+};
+
 // Method to add episode to specific season
 seriesSchema.methods.addEpisode = function(seasonNumber, episodeData) {
   let season = this.seasons.find(s => s.seasonNumber === seasonNumber);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Each session holds one refresh token at a time; every
+// refresh rotates it, and presenting an already rotated token revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  // jti of the only refresh token currently accepted for this session
+  refreshJti: {
+    type: String,
+    required: true,
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user', 'admin', 'reuse', 'password-change', 'password-reset', 'deactivated', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+const syncLogSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  tmdbId: {
+    type: Number,
+    required: [true, 'TMDB ID is required'],
+  },
+  kind: {
+    type: String,
+    enum: ['metadata', 'episodes'],
+    default: 'metadata',
+  },
+  status: {
+    type: String,
+    enum: ['updated', 'unchanged', 'failed'],
+    required: true,
+  },
+  changes: [fieldChangeSchema],
+  error: {
+    type: String,
+    default: '',
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+syncLogSchema.index({ contentType: 1, contentId: 1, createdAt: -1 });
+syncLogSchema.index({ status: 1, createdAt: -1 });
+syncLogSchema.index({ kind: 1, createdAt: -1 });
+syncLogSchema.index({ createdAt: -1 });
+
+// Add pagination plugin
+syncLogSchema.plugin(mongoosePaginate);
+
+const SyncLog = mongoose.model('SyncLog', syncLogSchema);
+
+export default SyncLog;
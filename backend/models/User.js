@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import mongoosePaginate from 'mongoose-paginate-v2';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -25,9 +26,11 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false, // Don't include password in queries by default
   },
+  // Name of a Role; see config/permissions.js
   role: {
     type: String,
-    enum: ['user', 'admin', 'moderator'],
+    trim: true,
+    lowercase: true,
     default: 'user',
   },
   avatar: {
@@ -38,14 +41,66 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
   lastLogin: {
     type: Date,
     default: null,
   },
-  refreshToken: {
-    type: String,
+  // Consecutive failed login attempts; reset by a successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Logins are refused until this time
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+  // TOTP second factor; required for admins and moderators
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of unused backup codes
+    backupCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Access tokens issued before this time are rejected (forced logout)
+  tokensInvalidatedAt: {
+    type: Date,
     default: null,
-    select: false,
   },
   watchlist: [{
     contentItem: {
@@ -84,6 +139,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ isActive: 1, lastLogin: -1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -105,11 +161,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate JWT token for a session
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
+      sid: sessionId,
       username: this.username, 
       email: this.email, 
       role: this.role 
@@ -119,18 +176,51 @@ userSchema.methods.generateAuthToken = function() {
   );
 };
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function() {
+// Generate refresh token; jti identifies it within its session for rotation
+userSchema.methods.generateRefreshToken = function(sessionId, jti) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, sid: sessionId },
     process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '30d' }
+    { expiresIn: process.env.REFRESH_TOKEN_EXPIRE || '30d', jwtid: jti }
   );
 };
 
-// Update last login
+// Whether a decoded access token was issued before a forced logout
+userSchema.methods.isTokenRevoked = function(decoded) {
+  if (!this.tokensInvalidatedAt) return false;
+  return decoded.iat < Math.floor(this.tokensInvalidatedAt.getTime() / 1000);
+};
+
+// Whether logins are currently refused after too many failures
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login, locking the account once LOGIN_MAX_ATTEMPTS is reached
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+  // Counting starts over once an earlier lock has expired
+  const update = this.lockUntil && this.lockUntil <= new Date()
+    ? { $set: { failedLoginAttempts: 1, lockUntil: null } }
+    : { $inc: { failedLoginAttempts: 1 } };
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, { new: true });
+  if (updated && updated.failedLoginAttempts >= maxAttempts && !updated.isLocked()) {
+    updated.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+    await updated.save({ validateBeforeSave: false });
+  }
+
+  this.failedLoginAttempts = updated?.failedLoginAttempts || 0;
+  this.lockUntil = updated?.lockUntil || null;
+};
+
+// Update last login and clear failed attempts
 userSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
   await this.save({ validateBeforeSave: false });
 };
 
@@ -138,10 +228,18 @@ userSchema.methods.updateLastLogin = async function() {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
-  delete userObject.refreshToken;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+// Add pagination plugin
+userSchema.plugin(mongoosePaginate);
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
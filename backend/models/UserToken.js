@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Single-use token emailed to a user (password reset, email verification).
+// Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  type: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: [true, 'Token type is required'],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for better performance
+userTokenSchema.index({ user: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
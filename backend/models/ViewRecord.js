@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Marks that a visitor has already been counted for a title or episode.
+// Documents expire on their own once the dedup window has passed.
+const viewRecordSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'View key is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+});
+
+// Indexes for better performance
+viewRecordSchema.index({ key: 1 }, { unique: true });
+viewRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ViewRecord = mongoose.model('ViewRecord', viewRecordSchema);
+
+export default ViewRecord;
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// Share of the runtime after which a title or episode counts as watched
+export const COMPLETION_THRESHOLD = 0.9;
+
+// One document per user per movie or per series episode
+const watchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  episodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  seasonNumber: {
+    type: Number,
+    default: null,
+  },
+  episodeNumber: {
+    type: Number,
+    default: null,
+  },
+  // Playback position and duration in seconds, as reported by the player
+  position: {
+    type: Number,
+    default: 0,
+    min: [0, 'Position cannot be negative'],
+  },
+  duration: {
+    type: Number,
+    default: 0,
+    min: [0, 'Duration cannot be negative'],
+  },
+  completed: {
+    type: Boolean,
+    default: false,
+  },
+  lastWatchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for better performance
+watchHistorySchema.index({ user: 1, contentId: 1, episodeId: 1 }, { unique: true });
+watchHistorySchema.index({ user: 1, lastWatchedAt: -1 });
+watchHistorySchema.index({ contentType: 1, contentId: 1 });
+
+// Virtual for progress percentage
+watchHistorySchema.virtual('progress').get(function() {
+  if (!this.duration) return 0;
+  return Math.min(100, Math.round((this.position / this.duration) * 100));
+});
+
+// Add pagination plugin
+watchHistorySchema.plugin(mongoosePaginate);
+
+// Ensure virtuals are included when converting to JSON
+watchHistorySchema.set('toJSON', { virtuals: true });
+
+const WatchHistory = mongoose.model('WatchHistory', watchHistorySchema);
+
+export default WatchHistory;
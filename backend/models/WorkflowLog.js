@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+// One document per adminStatus transition of a movie or series
+const workflowLogSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: ['Movie', 'Series'],
+    required: [true, 'Content type is required'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'contentType',
+    required: [true, 'Content ID is required'],
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+  },
+  from: {
+    type: String,
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  // null when the scheduled publisher made the transition
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: '',
+  },
+  publishAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for better performance
+workflowLogSchema.index({ contentId: 1, createdAt: -1 });
+workflowLogSchema.index({ actor: 1, createdAt: -1 });
+workflowLogSchema.index({ to: 1, createdAt: -1 });
+
+// Add pagination plugin
+workflowLogSchema.plugin(mongoosePaginate);
+
+const WorkflowLog = mongoose.model('WorkflowLog', workflowLogSchema);
+
+export default WorkflowLog;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Link health plugin for server and download link subdocuments.
+//
+// Adds a `health` record maintained by services/linkHealthService.js: the
+// result of the last probe, its latency, and how many probes in a row have
+// failed. Links that keep failing are switched off (isActive: false) and
+// marked autoDeactivatedAt, so a later successful probe can switch them back on.
+
+const healthSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['unknown', 'ok', 'broken'],
+    default: 'unknown',
+  },
+  statusCode: {
+    type: Number,
+    default: null,
+  },
+  latencyMs: {
+    type: Number,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: '',
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0,
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: null,
+  },
+  lastOkAt: {
+    type: Date,
+    default: null,
+  },
+  autoDeactivatedAt: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+const linkHealth = (schema) => {
+  schema.add({
+    health: {
+      type: healthSchema,
+      default: () => ({}),
+    },
+  });
+};
+
+export default linkHealth;
@@ -0,0 +1,44 @@
+import revisionService from '../../services/revisionService.js';
+
+// Revision history plugin for content models.
+//
+// Records a snapshot and diff after every save and findOneAndUpdate. The
+// author is the document's lastModifiedBy (addedBy on create). Before saving,
+// `doc.$locals.revisionAuthor`, `revisionAction` and `revisionNote` can
+// override the author or label the change (e.g. for background jobs); for
+// findOneAndUpdate pass `revisionAuthor` / `revisionNote` as query options.
+
+const revisions = (schema, { contentType }) => {
+  schema.pre('save', function(next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    await revisionService.track(contentType, doc, {
+      action: doc.$locals.revisionAction || (doc.$locals.wasNew ? 'create' : 'update'),
+      author: 'revisionAuthor' in doc.$locals
+        ? doc.$locals.revisionAuthor
+        : doc.lastModifiedBy || doc.addedBy || null,
+      note: doc.$locals.revisionNote
+    });
+  });
+
+  schema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+
+    // The hook may receive the pre-update document, so read the stored state
+    const current = await this.model.findById(doc._id).setOptions({ withDeleted: true });
+    if (!current) return;
+
+    const { revisionAuthor, revisionNote } = this.getOptions();
+
+    await revisionService.track(contentType, current, {
+      action: 'update',
+      author: revisionAuthor !== undefined ? revisionAuthor : current.lastModifiedBy || null,
+      note: revisionNote
+    });
+  });
+};
+
+export default revisions;
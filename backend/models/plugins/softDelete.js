@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Soft delete plugin for content models.
+//
+// Adds deletedAt/deletedBy and hides deleted documents from queries and
+// aggregations. Opt back in with `.withDeleted()` on a query, or the
+// `{ withDeleted: true }` option on an aggregate.
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    const filter = this.getFilter();
+
+    // Respect explicit opt-ins and queries that already filter on deletedAt
+    if (!this.getOptions().withDeleted && !('deletedAt' in filter)) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    if (!this.options.withDeleted) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // mongoose-paginate-v2 uses estimatedDocumentCount for an empty filter,
+  // which skips query middleware; give it a filter so totals stay accurate
+  const { paginate } = schema.statics;
+  if (paginate) {
+    schema.statics.paginate = function(query = {}, options = {}, callback) {
+      const isEmpty = !query || Object.keys(query).length === 0;
+      const filter = isEmpty && !options.options?.withDeleted ? { deletedAt: null } : query;
+      return paginate.call(this, filter, options, callback);
+    };
+  }
+
+  // Include soft-deleted documents in this query
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  // Only match soft-deleted documents
+  schema.query.onlyDeleted = function() {
+    return this.where({ deletedAt: { $ne: null } });
+  };
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(userId = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+export default softDelete;
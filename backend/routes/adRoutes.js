@@ -1,6 +1,6 @@
 import express from 'express';
 import { body } from 'express-validator';
-import { authenticateToken, requireAdmin, optionalAuth } from '../middleware/auth.js';
+import { authenticateToken, requirePermission, optionalAuth } from '../middleware/auth.js';
 import {
   getAllAds,
   getAd,
@@ -64,13 +64,13 @@ router.post('/:id/impression', recordImpression);
 router.post('/:id/click', recordClick);
 
 // Admin routes
-router.get('/', authenticateToken, requireAdmin, getAllAds);
-router.get('/analytics', authenticateToken, requireAdmin, getAdAnalytics);
-router.get('/:id', authenticateToken, requireAdmin, getAd);
-router.post('/', authenticateToken, requireAdmin, adValidation, createAd);
-router.put('/:id', authenticateToken, requireAdmin, adValidation, updateAd);
-router.delete('/:id', authenticateToken, requireAdmin, deleteAd);
-router.patch('/:id/toggle', authenticateToken, requireAdmin, toggleAdStatus);
-router.post('/bulk', authenticateToken, requireAdmin, bulkUpdateAds);
+router.get('/', authenticateToken, requirePermission('ads.manage'), getAllAds);
+router.get('/analytics', authenticateToken, requirePermission('ads.manage'), getAdAnalytics);
+router.get('/:id', authenticateToken, requirePermission('ads.manage'), getAd);
+router.post('/', authenticateToken, requirePermission('ads.manage'), adValidation, createAd);
+router.put('/:id', authenticateToken, requirePermission('ads.manage'), adValidation, updateAd);
+router.delete('/:id', authenticateToken, requirePermission('ads.manage'), deleteAd);
+router.patch('/:id/toggle', authenticateToken, requirePermission('ads.manage'), toggleAdStatus);
+router.post('/bulk', authenticateToken, requirePermission('ads.manage'), bulkUpdateAds);
 
 export default router;
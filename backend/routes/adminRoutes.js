@@ -1,29 +1,118 @@
 import express from 'express';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { param, query } from 'express-validator';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import {
+  getDashboardStats,
+  getAuditLog,
+  getTrash,
+  restoreFromTrash,
+  purgeFromTrash
+} from '../controllers/adminController.js';
 
 const router = express.Router();
 
+// Dashboard validation rules
+const dashboardValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Interval must be day, week, or month'),
+  query('topLimit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Top limit must be between 1 and 50')
+];
+
+// Audit log validation rules
+const auditValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  query('action')
+    .optional()
+    .isString()
+    .withMessage('Action must be a string'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+  query('method')
+    .optional()
+    .isIn(['POST', 'PUT', 'PATCH', 'DELETE', 'GET'])
+    .withMessage('Invalid method'),
+  query('success')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Success must be true or false'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+// Trash validation rules
+const trashListValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const trashItemValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
 // Dashboard stats
-router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    // Dashboard stats logic would go here
-    res.json({
-      success: true,
-      data: {
-        stats: {
-          totalMovies: 0,
-          totalSeries: 0,
-          totalUsers: 0,
-          totalViews: 0
-        }
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch dashboard stats'
-    });
-  }
-});
+router.get('/dashboard', authenticateToken, requirePermission('dashboard.view'), dashboardValidation, getDashboardStats);
+
+// Audit log
+router.get('/audit', authenticateToken, requirePermission('audit.view'), auditValidation, getAuditLog);
+
+// Trash
+router.get('/trash/:type', authenticateToken, requirePermission('content.trash'), trashListValidation, getTrash);
+router.post('/trash/:type/:id/restore', authenticateToken, requirePermission('content.trash'), trashItemValidation, restoreFromTrash);
+router.delete('/trash/:type/:id', authenticateToken, requirePermission('content.purge'), trashItemValidation, purgeFromTrash);
 
 export default router;
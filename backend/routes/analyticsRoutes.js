@@ -0,0 +1,84 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getContentHistory,
+  getEpisodeHistory,
+  getTopContent,
+  recordDownload,
+  recordLike,
+  removeLike
+} from '../controllers/analyticsController.js';
+import { authenticateToken, requirePermission, optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Analytics validation rules
+const dateRangeValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+const contentParamValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const episodeParamValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid series ID'),
+  param('seasonNumber')
+    .isInt({ min: 0 })
+    .withMessage('Season number must be a non-negative integer'),
+  param('episodeNumber')
+    .isInt({ min: 1 })
+    .withMessage('Episode number must be a positive integer')
+];
+
+const topValidation = [
+  query('metric')
+    .optional()
+    .isIn(['views', 'downloads', 'likes', 'score'])
+    .withMessage('Metric must be views, downloads, likes, or score'),
+  query('type')
+    .optional()
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const eventValidation = [
+  body('seasonNumber')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Season number must be a non-negative integer'),
+  body('episodeNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Episode number must be a positive integer')
+];
+
+// Public event routes
+router.post('/:type/:id/download', optionalAuth, contentParamValidation, eventValidation, recordDownload);
+router.post('/:type/:id/like', authenticateToken, contentParamValidation, eventValidation, recordLike);
+router.delete('/:type/:id/like', authenticateToken, contentParamValidation, removeLike);
+
+// Reporting routes (Admin/Moderator)
+router.get('/top', authenticateToken, requirePermission('analytics.view'), topValidation, dateRangeValidation, getTopContent);
+router.get('/series/:id/season/:seasonNumber/episode/:episodeNumber/history', authenticateToken, requirePermission('analytics.view'), episodeParamValidation, dateRangeValidation, getEpisodeHistory);
+router.get('/:type/:id/history', authenticateToken, requirePermission('analytics.view'), contentParamValidation, dateRangeValidation, getContentHistory);
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSION_NAMES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// API key validation rules
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked', 'expired'])
+    .withMessage('Status must be active, revoked or expired'),
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const settingsValidation = [
+  body('rateLimitPerMinute')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Rate limit must be between 1 and 10000 requests per minute')
+    .toInt(),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+];
+
+const scopeValidation = (field) => [
+  field
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(PERMISSION_NAMES)
+    .withMessage('Unknown scope')
+];
+
+const createValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Key name is required and must not exceed 100 characters'),
+  ...scopeValidation(body('scopes')),
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  ...settingsValidation
+];
+
+const updateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 100 })
+    .withMessage('Key name must not be empty or exceed 100 characters'),
+  ...scopeValidation(body('scopes').optional()),
+  ...settingsValidation
+];
+
+// Guards sit on each route (not router.use) so the audit log can capture the key before the change
+router.get('/', authenticateToken, requirePermission('api-keys.manage'), listValidation, getApiKeys);
+router.get('/:id', authenticateToken, requirePermission('api-keys.manage'), apiKeyIdValidation, getApiKey);
+router.post('/', authenticateToken, requirePermission('api-keys.manage'), createValidation, createApiKey);
+router.patch('/:id', authenticateToken, requirePermission('api-keys.manage'), apiKeyIdValidation, updateValidation, updateApiKey);
+router.delete('/:id', authenticateToken, requirePermission('api-keys.manage'), apiKeyIdValidation, revokeApiKey);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import {
   register,
   login,
@@ -8,9 +8,25 @@ import {
   getProfile,
   updateProfile,
   changePassword,
-  adminLogin
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  adminLogin,
+  verifyTwoFactorLogin
 } from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor
+} from '../controllers/twoFactorController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { accountEmailLimiter, loginLimiter, twoFactorLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
 
@@ -53,6 +69,61 @@ const changePasswordValidation = [
     .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
 ];
 
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCodeValidation
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeValidation
+];
+
 const updateProfileValidation = [
   body('username')
     .optional()
@@ -72,12 +143,25 @@ const updateProfileValidation = [
 
 // Routes
 router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
-router.post('/admin-login', adminLogin);
+router.post('/login', loginLimiter, loginValidation, login);
+router.post('/admin-login', loginLimiter, loginValidation, adminLogin);
+router.post('/2fa/verify', twoFactorLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
 router.post('/refresh-token', refreshToken);
+router.post('/forgot-password', accountEmailLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
+router.post('/resend-verification', authenticateToken, accountEmailLimiter, resendVerification);
 router.post('/logout', authenticateToken, logout);
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfileValidation, updateProfile);
 router.put('/change-password', authenticateToken, changePasswordValidation, changePassword);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateToken, sessionIdValidation, revokeSession);
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, twoFactorLimiter, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/backup-codes', authenticateToken, twoFactorLimiter, twoFactorCodeValidation, regenerateBackupCodes);
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, disableTwoFactorValidation, disableTwoFactor);
 
 export default router;
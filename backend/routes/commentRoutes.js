@@ -0,0 +1,120 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  upvoteComment,
+  removeUpvote,
+  reportComment,
+  getModerationQueue,
+  moderateComment
+} from '../controllers/commentController.js';
+import { authenticateToken, requirePermission, requireVerifiedEmail, optionalAuth } from '../middleware/auth.js';
+import { commentLimiter, moderationLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Comment validation rules
+const contentParamValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const commentIdValidation = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const listValidation = [
+  query('episodeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid episode ID'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'top'])
+    .withMessage('Sort must be newest, oldest, or top')
+];
+
+const commentBodyValidation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+  body('isSpoiler')
+    .optional()
+    .isBoolean()
+    .withMessage('isSpoiler must be a boolean')
+];
+
+const createValidation = [
+  ...commentBodyValidation,
+  body('episodeId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid episode ID'),
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+];
+
+const reportValidation = [
+  body('reason')
+    .optional()
+    .isIn(['spam', 'offensive', 'spoiler', 'harassment', 'other'])
+    .withMessage('Invalid report reason')
+];
+
+const queueValidation = [
+  query('status')
+    .optional()
+    .isIn(['reported', 'hidden'])
+    .withMessage('Status must be reported or hidden'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const moderateValidation = [
+  body('action')
+    .isIn(['hide', 'restore', 'dismiss'])
+    .withMessage('Action must be hide, restore, or dismiss')
+];
+
+// Moderation routes (Moderator)
+router.get('/moderation/queue', authenticateToken, requirePermission('community.moderate'), queueValidation, getModerationQueue);
+router.patch('/:commentId/moderate', authenticateToken, requirePermission('community.moderate'), moderationLimiter, commentIdValidation, moderateValidation, moderateComment);
+
+// Public routes
+router.get('/:type/:id', optionalAuth, contentParamValidation, listValidation, getComments);
+
+// Protected routes (authentication required, rate limited per user)
+router.post('/:commentId/upvote', authenticateToken, commentLimiter, commentIdValidation, upvoteComment);
+router.delete('/:commentId/upvote', authenticateToken, commentLimiter, commentIdValidation, removeUpvote);
+router.post('/:commentId/report', authenticateToken, commentLimiter, commentIdValidation, reportValidation, reportComment);
+router.post('/:type/:id', authenticateToken, requireVerifiedEmail, commentLimiter, contentParamValidation, createValidation, createComment);
+router.put('/:commentId', authenticateToken, requireVerifiedEmail, commentLimiter, commentIdValidation, commentBodyValidation, updateComment);
+router.delete('/:commentId', authenticateToken, commentLimiter, commentIdValidation, deleteComment);
+
+export default router;
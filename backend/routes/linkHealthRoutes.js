@@ -0,0 +1,55 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getBrokenLinks,
+  runLinkCheck,
+  checkContentLinks
+} from '../controllers/linkHealthController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Link health validation rules
+const reportValidation = [
+  query('type')
+    .optional()
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  query('status')
+    .optional()
+    .isIn(['broken', 'deactivated'])
+    .withMessage('Status must be broken or deactivated'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const runValidation = [
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+];
+
+const contentValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+// All link health routes require content editors; a full run needs content.edit.any
+router.use(authenticateToken, requirePermission('content.edit'));
+
+router.get('/broken', reportValidation, getBrokenLinks);
+router.post('/check', requirePermission('content.edit.any'), runValidation, runLinkCheck);
+router.post('/check/:type/:id', contentValidation, checkContentLinks);
+
+export default router;
@@ -0,0 +1,133 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getWatchlist,
+  addToWatchlist,
+  removeFromWatchlist,
+  reorderWatchlist
+} from '../controllers/watchlistController.js';
+import {
+  saveProgress,
+  getHistory,
+  removeHistoryEntry,
+  clearHistory,
+  getContinueWatching,
+  getNextEpisode
+} from '../controllers/historyController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Watchlist validation rules
+const watchlistListValidation = [
+  query('type')
+    .optional()
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series')
+];
+
+const watchlistAddValidation = [
+  body('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  body('contentId')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const watchlistItemValidation = [
+  param('contentId')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const watchlistOrderValidation = [
+  body('order')
+    .isArray()
+    .withMessage('Order must be an array of content IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+// Watch history validation rules
+const progressValidation = [
+  body('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  body('contentId')
+    .isMongoId()
+    .withMessage('Invalid content ID'),
+  body('episodeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid episode ID'),
+  body('seasonNumber')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Season number must be a non-negative integer'),
+  body('episodeNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Episode number must be a positive integer'),
+  body('position')
+    .isFloat({ min: 0 })
+    .withMessage('Position must be a non-negative number of seconds'),
+  body('duration')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Duration must be a non-negative number of seconds')
+];
+
+const historyListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('type')
+    .optional()
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series')
+];
+
+const historyEntryValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid history entry ID')
+];
+
+const continueWatchingValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const nextEpisodeValidation = [
+  param('seriesId')
+    .isMongoId()
+    .withMessage('Invalid series ID')
+];
+
+// All routes act on the authenticated user
+router.use(authenticateToken);
+
+// Watchlist
+router.get('/watchlist', watchlistListValidation, getWatchlist);
+router.post('/watchlist', watchlistAddValidation, addToWatchlist);
+router.put('/watchlist/order', watchlistOrderValidation, reorderWatchlist);
+router.delete('/watchlist/:contentId', watchlistItemValidation, removeFromWatchlist);
+
+// Watch history and playback progress
+router.put('/progress', progressValidation, saveProgress);
+router.get('/history', historyListValidation, getHistory);
+router.delete('/history', clearHistory);
+router.delete('/history/:id', historyEntryValidation, removeHistoryEntry);
+router.get('/continue-watching', continueWatchingValidation, getContinueWatching);
+router.get('/next-episode/:seriesId', nextEpisodeValidation, getNextEpisode);
+
+export default router;
@@ -15,9 +15,8 @@ import {
   updateMovieStatus
 } from '../controllers/movieController.js';
 import { 
-  authenticateToken, 
-  requireAdmin, 
-  requireModerator, 
+  authenticateTokenOrApiKey, 
+  requirePermission, 
   optionalAuth 
 } from '../middleware/auth.js';
 
@@ -76,16 +75,16 @@ router.get('/genre/:genre', getMoviesByGenre);
 router.get('/:identifier', optionalAuth, getMovie);
 router.get('/:id/related', getRelatedMovies);
 
-// Protected routes (authentication required)
-router.post('/', authenticateToken, requireModerator, movieValidation, createMovie);
-router.put('/:id', authenticateToken, requireModerator, movieValidation, updateMovie);
-router.delete('/:id', authenticateToken, requireModerator, deleteMovie);
+// Protected routes (JWT or API key)
+router.post('/', authenticateTokenOrApiKey, requirePermission('content.create'), movieValidation, createMovie);
+router.put('/:id', authenticateTokenOrApiKey, requirePermission('content.edit'), movieValidation, updateMovie);
+router.delete('/:id', authenticateTokenOrApiKey, requirePermission('content.delete'), deleteMovie);
 
 // Server management routes
-router.post('/:id/servers', authenticateToken, requireModerator, serverValidation, addServerToMovie);
-router.delete('/:id/servers/:serverId', authenticateToken, requireModerator, removeServerFromMovie);
+router.post('/:id/servers', authenticateTokenOrApiKey, requirePermission('content.edit'), serverValidation, addServerToMovie);
+router.delete('/:id/servers/:serverId', authenticateTokenOrApiKey, requirePermission('content.edit'), removeServerFromMovie);
 
 // Admin only routes
-router.patch('/:id/status', authenticateToken, requireAdmin, updateMovieStatus);
+router.patch('/:id/status', authenticateTokenOrApiKey, requirePermission('content.publish'), updateMovieStatus);
 
 export default router;
@@ -0,0 +1,108 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getReviews,
+  upsertReview,
+  deleteReview,
+  flagReview,
+  getModerationQueue,
+  moderateReview
+} from '../controllers/reviewController.js';
+import { authenticateToken, requirePermission, requireVerifiedEmail, optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Review validation rules
+const contentParamValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const reviewIdValidation = [
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID')
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('sort')
+    .optional()
+    .isIn(['newest', 'oldest', 'highest', 'lowest'])
+    .withMessage('Sort must be newest, oldest, highest, or lowest')
+];
+
+const reviewValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Rating must be a whole number between 1 and 10'),
+  body('title')
+    .optional()
+    .isLength({ max: 150 })
+    .withMessage('Review title cannot exceed 150 characters'),
+  body('body')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Review cannot exceed 5000 characters'),
+  body('containsSpoilers')
+    .optional()
+    .isBoolean()
+    .withMessage('containsSpoilers must be a boolean')
+];
+
+const flagValidation = [
+  body('reason')
+    .optional()
+    .isIn(['spam', 'offensive', 'spoiler', 'off-topic', 'other'])
+    .withMessage('Invalid flag reason')
+];
+
+const queueValidation = [
+  query('status')
+    .optional()
+    .isIn(['flagged', 'hidden'])
+    .withMessage('Status must be flagged or hidden'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const moderateValidation = [
+  body('action')
+    .isIn(['hide', 'restore', 'dismiss'])
+    .withMessage('Action must be hide, restore, or dismiss'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters')
+];
+
+// Moderation routes (Moderator)
+router.get('/moderation/queue', authenticateToken, requirePermission('community.moderate'), queueValidation, getModerationQueue);
+router.patch('/:reviewId/moderate', authenticateToken, requirePermission('community.moderate'), reviewIdValidation, moderateValidation, moderateReview);
+
+// Public routes
+router.get('/:type/:id', optionalAuth, contentParamValidation, listValidation, getReviews);
+
+// Protected routes (authentication required)
+router.put('/:type/:id', authenticateToken, requireVerifiedEmail, contentParamValidation, reviewValidation, upsertReview);
+router.post('/:reviewId/flag', authenticateToken, reviewIdValidation, flagValidation, flagReview);
+router.delete('/:reviewId', authenticateToken, reviewIdValidation, deleteReview);
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  rollbackRevision
+} from '../controllers/revisionController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Revision validation rules
+const contentParamValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const versionValidation = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt()
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID')
+];
+
+const diffValidation = [
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('From must be a positive integer')
+    .toInt(),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To must be a positive integer')
+    .toInt()
+];
+
+const rollbackValidation = [
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// All revision routes are for staff
+router.use(authenticateToken, requirePermission('content.revisions'));
+
+router.get('/:type/:id', contentParamValidation, listValidation, getRevisions);
+router.get('/:type/:id/diff', contentParamValidation, diffValidation, diffRevisions);
+router.get('/:type/:id/:version', contentParamValidation, versionValidation, getRevision);
+router.post('/:type/:id/:version/rollback', contentParamValidation, versionValidation, rollbackValidation, rollbackRevision);
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { PERMISSION_NAMES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Role validation rules
+const roleIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid role ID')
+];
+
+const permissionsValidation = [
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSION_NAMES)
+    .withMessage('Unknown permission'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+const createValidation = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,29}$/)
+    .withMessage('Role name must be 2-30 lowercase letters, numbers or dashes'),
+  ...permissionsValidation
+];
+
+// Guards sit on each route (not router.use) so the audit log can capture the role before the change
+router.get('/', authenticateToken, requirePermission('roles.manage'), getRoles);
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), getPermissions);
+router.post('/', authenticateToken, requirePermission('roles.manage'), createValidation, createRole);
+router.put('/:id', authenticateToken, requirePermission('roles.manage'), roleIdValidation, permissionsValidation, updateRole);
+router.delete('/:id', authenticateToken, requirePermission('roles.manage'), roleIdValidation, deleteRole);
+
+export default router;
@@ -4,19 +4,28 @@ import {
   getAllSeries,
   getSeries,
   createSeries,
+  updateSeries,
+  deleteSeries,
   addSeason,
   addEpisode,
   getEpisode,
   updateEpisode,
   addServerToEpisode,
+  updateSeason,
+  deleteSeason,
+  deleteEpisode,
+  reorderEpisodes,
+  removeServerFromEpisode,
+  addDownloadLinkToEpisode,
+  updateEpisodeDownloadLink,
+  removeEpisodeDownloadLink,
   getTrendingSeries,
   getLatestSeries,
   updateSeriesStatus
 } from '../controllers/seriesController.js';
 import { 
-  authenticateToken, 
-  requireAdmin, 
-  requireModerator, 
+  authenticateTokenOrApiKey, 
+  requirePermission, 
   optionalAuth 
 } from '../middleware/auth.js';
 
@@ -60,21 +69,93 @@ const episodeValidation = [
     .withMessage('Runtime must be a positive number')
 ];
 
+const seasonUpdateValidation = [
+  body('seasonNumber')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Season number must be a non-negative integer')
+    .toInt(),
+  body('name')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Season name must not exceed 200 characters'),
+  body('overview')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Season overview must not exceed 1000 characters'),
+  body('airDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Air date must be a valid date')
+];
+
+const episodeOrderValidation = [
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty array of episode IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Invalid episode ID')
+];
+
+const downloadLinkValidation = [
+  body('label')
+    .notEmpty()
+    .withMessage('Download link label is required'),
+  body('url')
+    .isURL()
+    .withMessage('Valid download URL is required'),
+  body('quality')
+    .optional()
+    .isIn(['480p', '720p', '1080p', '4K'])
+    .withMessage('Quality must be 480p, 720p, 1080p, or 4K')
+];
+
+const downloadLinkUpdateValidation = [
+  body('label')
+    .optional()
+    .notEmpty()
+    .withMessage('Download link label cannot be empty'),
+  body('url')
+    .optional()
+    .isURL()
+    .withMessage('Valid download URL is required'),
+  body('quality')
+    .optional()
+    .isIn(['480p', '720p', '1080p', '4K'])
+    .withMessage('Quality must be 480p, 720p, 1080p, or 4K'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
 // Public routes
 router.get('/', optionalAuth, getAllSeries);
 router.get('/trending', getTrendingSeries);
 router.get('/latest', getLatestSeries);
 router.get('/:identifier', optionalAuth, getSeries);
-router.get('/:id/season/:seasonNumber/episode/:episodeNumber', getEpisode);
+router.get('/:id/season/:seasonNumber/episode/:episodeNumber', optionalAuth, getEpisode);
 
-// Protected routes
-router.post('/', authenticateToken, requireModerator, seriesValidation, createSeries);
-router.post('/:id/seasons', authenticateToken, requireModerator, addSeason);
-router.post('/:id/season/:seasonNumber/episodes', authenticateToken, requireModerator, episodeValidation, addEpisode);
-router.put('/:id/season/:seasonNumber/episode/:episodeNumber', authenticateToken, requireModerator, updateEpisode);
-router.post('/:id/season/:seasonNumber/episode/:episodeNumber/servers', authenticateToken, requireModerator, addServerToEpisode);
+// Protected routes (JWT or API key)
+router.post('/', authenticateTokenOrApiKey, requirePermission('content.create'), seriesValidation, createSeries);
+router.put('/:id', authenticateTokenOrApiKey, requirePermission('content.edit'), seriesValidation, updateSeries);
+router.delete('/:id', authenticateTokenOrApiKey, requirePermission('content.delete'), deleteSeries);
+router.post('/:id/seasons', authenticateTokenOrApiKey, requirePermission('content.edit'), addSeason);
+router.post('/:id/season/:seasonNumber/episodes', authenticateTokenOrApiKey, requirePermission('content.edit'), episodeValidation, addEpisode);
+router.put('/:id/season/:seasonNumber/episode/:episodeNumber', authenticateTokenOrApiKey, requirePermission('content.edit'), updateEpisode);
+router.post('/:id/season/:seasonNumber/episode/:episodeNumber/servers', authenticateTokenOrApiKey, requirePermission('content.edit'), addServerToEpisode);
+router.put('/:id/season/:seasonNumber', authenticateTokenOrApiKey, requirePermission('content.edit'), seasonUpdateValidation, updateSeason);
+router.delete('/:id/season/:seasonNumber', authenticateTokenOrApiKey, requirePermission('content.edit'), deleteSeason);
+router.put('/:id/season/:seasonNumber/episodes/order', authenticateTokenOrApiKey, requirePermission('content.edit'), episodeOrderValidation, reorderEpisodes);
+router.delete('/:id/season/:seasonNumber/episode/:episodeNumber', authenticateTokenOrApiKey, requirePermission('content.edit'), deleteEpisode);
+router.delete('/:id/season/:seasonNumber/episode/:episodeNumber/servers/:serverId', authenticateTokenOrApiKey, requirePermission('content.edit'), removeServerFromEpisode);
+router.post('/:id/season/:seasonNumber/episode/:episodeNumber/downloads', authenticateTokenOrApiKey, requirePermission('content.edit'), downloadLinkValidation, addDownloadLinkToEpisode);
+router.put('/:id/season/:seasonNumber/episode/:episodeNumber/downloads/:linkId', authenticateTokenOrApiKey, requirePermission('content.edit'), downloadLinkUpdateValidation, updateEpisodeDownloadLink);
+router.delete('/:id/season/:seasonNumber/episode/:episodeNumber/downloads/:linkId', authenticateTokenOrApiKey, requirePermission('content.edit'), removeEpisodeDownloadLink);
 
 // Admin only routes
-router.patch('/:id/status', authenticateToken, requireAdmin, updateSeriesStatus);
+router.patch('/:id/status', authenticateTokenOrApiKey, requirePermission('content.publish'), updateSeriesStatus);
 
 export default router;
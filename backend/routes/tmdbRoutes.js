@@ -0,0 +1,201 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getTmdbStatus,
+  searchTmdb,
+  previewTmdbItem,
+  importTmdbItem,
+  bulkImportTmdb,
+  getImportJobs,
+  getImportJob,
+  retryImportJob,
+  forceUpdateTmdbItem,
+  runTmdbSync,
+  syncTmdbItem,
+  runEpisodeIngest,
+  ingestSeriesEpisodes,
+  getSyncLogs
+} from '../controllers/tmdbController.js';
+import { authenticateTokenOrApiKey, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// TMDB validation rules
+const searchValidation = [
+  query('query')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query is required'),
+  query('type')
+    .optional()
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Page must be between 1 and 500')
+];
+
+const itemParamValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('tmdbId')
+    .isInt({ min: 1 })
+    .withMessage('TMDB ID must be a positive integer')
+];
+
+const importValidation = [
+  body('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  body('tmdbId')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('TMDB ID must be a positive integer'),
+  body('importSeasons')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('importSeasons must be a boolean')
+];
+
+const bulkImportValidation = [
+  body('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  body('tmdbIds')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('tmdbIds must be an array of 1-100 IDs'),
+  body('tmdbIds.*')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Each TMDB ID must be a positive integer'),
+  body('pages')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Pages must be between 1 and 20'),
+  body('importSeasons')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('importSeasons must be a boolean')
+];
+
+const forceUpdateValidation = [
+  ...itemParamValidation,
+  body('updateSeasons')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('updateSeasons must be a boolean'),
+  body('importSeasons')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('importSeasons must be a boolean')
+];
+
+const listPaginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const jobListValidation = [
+  query('status')
+    .optional()
+    .isString()
+    .isIn(['queued', 'running', 'succeeded', 'failed', 'partial'])
+    .withMessage('Invalid job status'),
+  query('type')
+    .optional()
+    .isString()
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  ...listPaginationValidation
+];
+
+const jobIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid import job ID')
+];
+
+const syncValidation = [
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+];
+
+const syncItemValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const seriesIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid series ID')
+];
+
+const syncLogValidation = [
+  query('kind')
+    .optional()
+    .isString()
+    .isIn(['metadata', 'episodes'])
+    .withMessage('Kind must be metadata or episodes'),
+  query('contentType')
+    .optional()
+    .isString()
+    .isIn(['Movie', 'Series'])
+    .withMessage('Content type must be Movie or Series'),
+  query('contentId')
+    .optional()
+    .isString()
+    .isMongoId()
+    .withMessage('Invalid content ID'),
+  query('status')
+    .optional()
+    .isString()
+    .isIn(['updated', 'unchanged', 'failed'])
+    .withMessage('Invalid sync status'),
+  ...listPaginationValidation
+];
+
+// All TMDB routes require import.run; scripts may use an API key
+router.use(authenticateTokenOrApiKey, requirePermission('import.run'));
+
+router.get('/status', getTmdbStatus);
+router.get('/search', searchValidation, searchTmdb);
+router.get('/preview/:type/:tmdbId', itemParamValidation, previewTmdbItem);
+router.post('/import', importValidation, importTmdbItem);
+router.post('/import/bulk', bulkImportValidation, bulkImportTmdb);
+router.put('/import/:type/:tmdbId', forceUpdateValidation, forceUpdateTmdbItem);
+
+// Import job routes
+router.get('/jobs', jobListValidation, getImportJobs);
+router.get('/jobs/:id', jobIdValidation, getImportJob);
+router.post('/jobs/:id/retry', jobIdValidation, retryImportJob);
+
+// Metadata resync routes
+router.post('/sync', syncValidation, runTmdbSync);
+router.get('/sync/logs', syncLogValidation, getSyncLogs);
+router.post('/sync/:type/:id', syncItemValidation, syncTmdbItem);
+
+// New-episode ingestion routes
+router.post('/episodes/ingest', runEpisodeIngest);
+router.post('/episodes/ingest/:id', seriesIdValidation, ingestSeriesEpisodes);
+
+export default router;
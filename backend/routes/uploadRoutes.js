@@ -1,6 +1,6 @@
 import express from 'express';
 import multer from 'multer';
-import { authenticateToken, requireModerator } from '../middleware/auth.js';
+import { authenticateToken, authenticateTokenOrApiKey, requirePermission } from '../middleware/auth.js';
 import uploadService from '../services/uploadService.js';
 import { createErrorResponse, createSuccessResponse } from '../utils/helpers.js';
 
@@ -42,7 +42,7 @@ const handleMulterError = (error, req, res, next) => {
 };
 
 // Upload poster image
-router.post('/poster', authenticateToken, requireModerator, upload.single('poster'), handleMulterError, async (req, res) => {
+router.post('/poster', authenticateTokenOrApiKey, requirePermission('media.upload'), upload.single('poster'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json(createErrorResponse('No poster file provided', 400));
@@ -64,7 +64,7 @@ router.post('/poster', authenticateToken, requireModerator, upload.single('poste
 });
 
 // Upload backdrop image
-router.post('/backdrop', authenticateToken, requireModerator, upload.single('backdrop'), handleMulterError, async (req, res) => {
+router.post('/backdrop', authenticateTokenOrApiKey, requirePermission('media.upload'), upload.single('backdrop'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json(createErrorResponse('No backdrop file provided', 400));
@@ -108,7 +108,7 @@ router.post('/profile', authenticateToken, upload.single('profile'), handleMulte
 });
 
 // Upload general image
-router.post('/image', authenticateToken, requireModerator, upload.single('image'), handleMulterError, async (req, res) => {
+router.post('/image', authenticateTokenOrApiKey, requirePermission('media.upload'), upload.single('image'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json(createErrorResponse('No image file provided', 400));
@@ -139,7 +139,7 @@ router.post('/image', authenticateToken, requireModerator, upload.single('image'
 });
 
 // Upload multiple images
-router.post('/multiple', authenticateToken, requireModerator, upload.array('images', 10), handleMulterError, async (req, res) => {
+router.post('/multiple', authenticateTokenOrApiKey, requirePermission('media.upload'), upload.array('images', 10), handleMulterError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json(createErrorResponse('No image files provided', 400));
@@ -194,7 +194,7 @@ router.get('/info/:fileName', authenticateToken, async (req, res) => {
 });
 
 // Delete file (Admin only)
-router.delete('/:fileName', authenticateToken, requireModerator, async (req, res) => {
+router.delete('/:fileName', authenticateTokenOrApiKey, requirePermission('media.upload'), async (req, res) => {
   try {
     const { fileName } = req.params;
     const { folder = 'general', cloudinary = false } = req.query;
@@ -205,6 +205,9 @@ router.delete('/:fileName', authenticateToken, requireModerator, async (req, res
       result = await uploadService.deleteFromCloudinary(publicId);
     } else {
       const filePath = `${folder}/${fileName}`;
+      if (!uploadService.resolveUploadPath(filePath)) {
+        return res.status(400).json(createErrorResponse('Invalid file path', 400));
+      }
       result = await uploadService.deleteLocally(filePath);
     }
     
@@ -0,0 +1,104 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forceLogoutUser,
+  unlockUser,
+  resetUserTwoFactor,
+  bulkUpdateUsers
+} from '../controllers/userController.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import permissionService from '../services/permissionService.js';
+
+const router = express.Router();
+
+// User management validation rules
+const userIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('role')
+    .optional()
+    .custom(role => permissionService.roleExists(role))
+    .withMessage('Unknown role'),
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'locked'])
+    .withMessage('Status must be active, inactive or locked'),
+  query('lastLoginBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('lastLoginBefore must be a valid date'),
+  query('lastLoginAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('lastLoginAfter must be a valid date'),
+  query('neverLoggedIn')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('neverLoggedIn must be true or false'),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'lastLogin', 'username'])
+    .withMessage('Sort must be createdAt, lastLogin, or username'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+const roleValidation = [
+  body('role')
+    .custom(role => permissionService.roleExists(role))
+    .withMessage('Unknown role')
+];
+
+const statusValidation = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const bulkValidation = [
+  body('userIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('userIds must be an array of 1 to 500 IDs'),
+  body('userIds.*')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('action')
+    .isIn(['activate', 'deactivate', 'logout', 'set-role'])
+    .withMessage('Action must be activate, deactivate, logout, or set-role'),
+  body('role')
+    .if(body('action').equals('set-role'))
+    .custom(role => permissionService.roleExists(role))
+    .withMessage('Unknown role')
+];
+
+// All user management routes require admin access. The guards sit on each
+// route (not router.use) so the audit log can capture the user before the change.
+router.get('/', authenticateToken, requirePermission('users.manage'), listValidation, getUsers);
+router.post('/bulk', authenticateToken, requirePermission('users.manage'), bulkValidation, bulkUpdateUsers);
+router.get('/:id', authenticateToken, requirePermission('users.manage'), userIdValidation, getUser);
+router.patch('/:id/role', authenticateToken, requirePermission('users.manage'), userIdValidation, roleValidation, updateUserRole);
+router.patch('/:id/status', authenticateToken, requirePermission('users.manage'), userIdValidation, statusValidation, updateUserStatus);
+router.post('/:id/logout', authenticateToken, requirePermission('users.manage'), userIdValidation, forceLogoutUser);
+router.post('/:id/unlock', authenticateToken, requirePermission('users.manage'), userIdValidation, unlockUser);
+router.post('/:id/2fa/reset', authenticateToken, requirePermission('users.manage'), userIdValidation, resetUserTwoFactor);
+
+export default router;
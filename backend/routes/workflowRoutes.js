@@ -0,0 +1,66 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getWorkflowQueue,
+  applyWorkflowAction,
+  getWorkflowHistory
+} from '../controllers/workflowController.js';
+import { WORKFLOW_ACTIONS } from '../services/workflowService.js';
+import { authenticateToken, requireAnyPermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Workflow validation rules
+const typeValidation = [
+  param('type')
+    .isIn(['movie', 'series'])
+    .withMessage('Type must be movie or series')
+];
+
+const contentParamValidation = [
+  ...typeValidation,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid content ID')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const queueValidation = [
+  query('status')
+    .optional()
+    .isIn(['Draft', 'Pending', 'Scheduled', 'Published', 'Archived'])
+    .withMessage('Invalid status')
+];
+
+const actionValidation = [
+  param('action')
+    .isIn(Object.keys(WORKFLOW_ACTIONS).filter(action => action !== 'publish'))
+    .withMessage('Invalid workflow action'),
+  body('note')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date')
+];
+
+// All workflow routes require a workflow permission; each action is checked separately
+router.use(authenticateToken, requireAnyPermission('content.submit', 'content.publish'));
+
+router.get('/:type', typeValidation, paginationValidation, queueValidation, getWorkflowQueue);
+router.get('/:type/:id/history', contentParamValidation, paginationValidation, getWorkflowHistory);
+router.post('/:type/:id/:action', contentParamValidation, actionValidation, applyWorkflowAction);
+
+export default router;
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import ContentActivity from '../models/ContentActivity.js';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Field names for each recordable event
+const EVENT_FIELDS = {
+  view: 'views',
+  download: 'downloads',
+  like: 'likes'
+};
+
+// Relative weight of each event when ranking by overall activity
+const SCORE_WEIGHTS = {
+  views: 1,
+  downloads: 2,
+  likes: 3
+};
+
+const TITLE_FIELDS = 'title slug posterPath overview rating releaseYear genres type views likes downloads adminStatus createdAt';
+
+class AnalyticsService {
+  // Midnight UTC of the day containing `date`
+  startOfDay(date = new Date()) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+
+  // Add `count` events to today's bucket for a title or episode
+  async record(event, { contentType, contentId, episodeId = null, count = 1 }) {
+    const field = EVENT_FIELDS[event];
+    if (!field) {
+      throw new Error(`Unknown analytics event: ${event}`);
+    }
+
+    await ContentActivity.updateOne(
+      {
+        contentType,
+        contentId,
+        episodeId,
+        date: this.startOfDay()
+      },
+      { $inc: { [field]: count } },
+      { upsert: true }
+    );
+  }
+
+  // Fire-and-forget variant for request handlers; failures are only logged
+  track(event, target) {
+    this.record(event, target).catch(error => {
+      console.error(`Failed to record ${event} for ${target.contentType} ${target.contentId}:`, error.message);
+    });
+  }
+
+  // Build a date match for a window, defaulting to the last `days` days
+  buildDateMatch(startDate, endDate, days = 30) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - days * DAY_MS);
+    return { $gte: this.startOfDay(start), $lte: end };
+  }
+
+  // Daily history for a title (including its episodes) or a single episode
+  async getHistory({ contentType, contentId, episodeId, startDate, endDate }) {
+    // Aggregations don't cast, so convert IDs up front
+    const match = {
+      contentType,
+      contentId: new mongoose.Types.ObjectId(contentId),
+      date: this.buildDateMatch(startDate, endDate)
+    };
+    if (episodeId) {
+      match.episodeId = new mongoose.Types.ObjectId(episodeId);
+    }
+
+    const buckets = await ContentActivity.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$date',
+          views: { $sum: '$views' },
+          downloads: { $sum: '$downloads' },
+          likes: { $sum: '$likes' }
+        }
+      }
+    ]);
+
+    const byDay = new Map(buckets.map(bucket => [bucket._id.getTime(), bucket]));
+    const history = [];
+
+    // Fill gaps so charts get one point per day
+    for (let day = match.date.$gte.getTime(); day <= match.date.$lte.getTime(); day += DAY_MS) {
+      const bucket = byDay.get(day);
+      history.push({
+        date: new Date(day).toISOString().slice(0, 10),
+        views: bucket?.views || 0,
+        downloads: bucket?.downloads || 0,
+        likes: bucket?.likes || 0
+      });
+    }
+
+    const totals = history.reduce((acc, point) => {
+      acc.views += point.views;
+      acc.downloads += point.downloads;
+      acc.likes += point.likes;
+      return acc;
+    }, { views: 0, downloads: 0, likes: 0 });
+
+    return { history, totals };
+  }
+
+  // Titles with the most activity in a window
+  async getTop({ metric = 'views', contentType, startDate, endDate, limit = 10, publishedOnly = false }) {
+    const match = { date: this.buildDateMatch(startDate, endDate) };
+    if (contentType) {
+      match.contentType = contentType;
+    }
+
+    const sortField = metric === 'score' ? 'score' : metric;
+
+    const ranked = await ContentActivity.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { contentType: '$contentType', contentId: '$contentId' },
+          views: { $sum: '$views' },
+          downloads: { $sum: '$downloads' },
+          likes: { $sum: '$likes' }
+        }
+      },
+      {
+        $addFields: {
+          score: {
+            $add: [
+              { $multiply: ['$views', SCORE_WEIGHTS.views] },
+              { $multiply: ['$downloads', SCORE_WEIGHTS.downloads] },
+              { $multiply: ['$likes', SCORE_WEIGHTS.likes] }
+            ]
+          }
+        }
+      },
+      { $match: { [sortField]: { $gt: 0 } } },
+      { $sort: { [sortField]: -1 } },
+      // Over-fetch so unpublished titles can be dropped without coming up short
+      { $limit: publishedOnly ? limit * 2 : limit }
+    ]);
+
+    const idsFor = (type) => ranked
+      .filter(item => item._id.contentType === type)
+      .map(item => item._id.contentId);
+
+    const titleQuery = (ids) => (publishedOnly ? { _id: { $in: ids }, adminStatus: 'Published' } : { _id: { $in: ids } });
+
+    const [movies, series] = await Promise.all([
+      Movie.find(titleQuery(idsFor('Movie'))).select(TITLE_FIELDS).lean(),
+      Series.find(titleQuery(idsFor('Series'))).select(`${TITLE_FIELDS} numberOfSeasons numberOfEpisodes`).lean()
+    ]);
+
+    const titles = new Map([
+      ...movies.map(movie => [movie._id.toString(), movie]),
+      ...series.map(item => [item._id.toString(), item])
+    ]);
+
+    return ranked
+      .filter(item => titles.has(item._id.contentId.toString()))
+      .slice(0, limit)
+      .map(({ _id, views, downloads, likes, score }) => ({
+        ...titles.get(_id.contentId.toString()),
+        contentType: _id.contentType,
+        activity: { views, downloads, likes, score }
+      }));
+  }
+
+  // Activity totals and a bucketed timeline across all content
+  async getSummary({ startDate, endDate, format = '%Y-%m-%d' }) {
+    const [result] = await ContentActivity.aggregate([
+      { $match: { date: this.buildDateMatch(startDate, endDate) } },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              views: { $sum: '$views' },
+              downloads: { $sum: '$downloads' },
+              likes: { $sum: '$likes' }
+            }
+          }],
+          timeline: [
+            {
+              $group: {
+                _id: { $dateToString: { format, date: '$date' } },
+                views: { $sum: '$views' },
+                downloads: { $sum: '$downloads' },
+                likes: { $sum: '$likes' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const { _id, ...totals } = result.totals[0] || { views: 0, downloads: 0, likes: 0 };
+
+    return {
+      totals,
+      timeline: result.timeline.map(({ _id: date, ...counts }) => ({ date, ...counts }))
+    };
+  }
+}
+
+export default new AnalyticsService();
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+
+// Keys look like mhk_<32 random url-safe characters>
+const KEY_PREFIX = 'mhk_';
+const PREFIX_LENGTH = 12;
+
+// Error carrying the HTTP status the controller should respond with
+const apiKeyError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class ApiKeyService {
+  generateKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, prefix: key.slice(0, PREFIX_LENGTH), keyHash: hashKey(key) };
+  }
+
+  // Issue a key; the plain key is returned here and never stored
+  async create({ name, user, scopes, rateLimitPerMinute = null, expiresAt = null, createdBy }) {
+    const { key, prefix, keyHash } = this.generateKey();
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      user,
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      expiresAt,
+      createdBy
+    });
+
+    return { apiKey, key };
+  }
+
+  // The key and user behind a raw X-API-Key value
+  async authenticate(rawKey) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+      throw apiKeyError('Invalid API key', 401);
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey) });
+    if (!apiKey) {
+      throw apiKeyError('Invalid API key', 401);
+    }
+    if (apiKey.revokedAt) {
+      throw apiKeyError('API key has been revoked', 401);
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw apiKeyError('API key has expired', 401);
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user || !user.isActive) {
+      throw apiKeyError('API key owner is not active', 401);
+    }
+
+    return { apiKey, user };
+  }
+
+  // Authenticate the request's key once; the global rate limiter and the
+  // auth middleware both ask for it
+  resolve(req) {
+    if (!req.apiKeyLookup) {
+      req.apiKeyLookup = this.authenticate(req.get('X-API-Key'));
+    }
+    return req.apiKeyLookup;
+  }
+
+  // Last-used tracking runs in the background so it never slows the request
+  recordUse(apiKey, req) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { usageCount: 1 } }
+    ).catch(error => {
+      console.error('Failed to record API key use:', error.message);
+    });
+  }
+
+  getRateLimit(apiKey) {
+    return apiKey.rateLimitPerMinute || parseInt(process.env.API_KEY_RATE_LIMIT_MAX) || 60;
+  }
+
+  async revoke(apiKeyId, revokedBy) {
+    const apiKey = await ApiKey.findById(apiKeyId);
+    if (!apiKey) {
+      throw apiKeyError('API key not found', 404);
+    }
+    if (apiKey.revokedAt) {
+      throw apiKeyError('API key is already revoked', 409);
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = revokedBy;
+    await apiKey.save();
+
+    return apiKey;
+  }
+}
+
+export default new ApiKeyService();
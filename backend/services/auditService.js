@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Fields that identify a document in a summary, whatever the request touched
+const IDENTITY_FIELDS = ['title', 'name', 'username', 'email', 'role', 'isActive', 'adminStatus', 'status', 'placement'];
+
+// Keys whose values never reach the audit log
+const SENSITIVE_PATTERN = /password|token|secret|adminKey|apiKey|^otp$|^code$/i;
+
+const MAX_STRING_LENGTH = 200;
+const MAX_ARRAY_ITEMS = 10;
+
+const isPrimitive = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+const truncate = (value) => (value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value);
+
+class AuditService {
+  // Small, redacted, JSON-safe version of a value
+  summarizeValue(key, value, depth = 0) {
+    if (SENSITIVE_PATTERN.test(key)) return '[redacted]';
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (typeof value === 'string') return truncate(value);
+    if (isPrimitive(value)) return value;
+
+    if (Array.isArray(value)) {
+      return value.length <= MAX_ARRAY_ITEMS && value.every(isPrimitive)
+        ? value.map(item => (typeof item === 'string' ? truncate(item) : item))
+        : `[${value.length} items]`;
+    }
+
+    if (depth >= 1) return '[object]';
+    return Object.fromEntries(Object.entries(value)
+      .map(([nestedKey, nestedValue]) => [nestedKey, this.summarizeValue(nestedKey, nestedValue, depth + 1)]));
+  }
+
+  // Summarize selected fields of a document (identity fields when none are given)
+  summarize(doc, fields = []) {
+    if (!doc) return null;
+
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const keys = [...new Set([...IDENTITY_FIELDS, ...fields])].filter(key => key in plain);
+
+    return Object.fromEntries(keys.map(key => [key, this.summarizeValue(key, plain[key])]));
+  }
+
+  // Projection covering the fields a summary needs
+  getProjection(fields = []) {
+    return [...new Set([...IDENTITY_FIELDS, ...fields])].join(' ');
+  }
+
+  // Load a document for a summary, including soft-deleted ones
+  async loadTarget(targetType, targetId, fields = []) {
+    if (!targetType || !targetId || !mongoose.isValidObjectId(targetId)) return null;
+
+    const Model = mongoose.models[targetType];
+    if (!Model) return null;
+
+    return Model.findById(targetId)
+      .select(this.getProjection(fields))
+      .setOptions({ withDeleted: true })
+      .lean();
+  }
+
+  // Route pattern, concrete URL and client details of a request
+  getRequestInfo(req) {
+    const routePath = req.route?.path && req.route.path !== '/' ? req.route.path : '';
+
+    return {
+      route: `${req.baseUrl}${routePath}` || req.path,
+      path: req.originalUrl,
+      ip: req.ip || req.socket?.remoteAddress || '',
+      userAgent: truncate(req.get('user-agent') || '')
+    };
+  }
+
+  // Write an audit entry; never fails the request that triggered it
+  async log(entry) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      console.error('Failed to write audit log:', error.message);
+      return null;
+    }
+  }
+
+  // Record an explicit event such as a login, outside the request middleware
+  async logEvent(req, { action, actor = null, success = true, statusCode = null, targetType = null, targetId = null, details = null }) {
+    return this.log({
+      actor: actor?._id || null,
+      actorName: actor?.username || '',
+      actorRole: actor?.role || '',
+      action,
+      method: req.method,
+      statusCode,
+      success,
+      ...this.getRequestInfo(req),
+      targetType,
+      targetId,
+      details: details ? this.summarizeValue('details', details) : null
+    });
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,175 @@
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import User from '../models/User.js';
+import WatchHistory from '../models/WatchHistory.js';
+import Review from '../models/Review.js';
+import Comment from '../models/Comment.js';
+import ContentActivity from '../models/ContentActivity.js';
+import Like from '../models/Like.js';
+import Revision from '../models/Revision.js';
+import uploadService from './uploadService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cloudinary delivery URL: .../image/upload/[transformations/][v123/]<publicId>.<ext>
+const CLOUDINARY_URL_PATTERN = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:.*?\/)?(?:v\d+\/)?(moviehubbd\/[^.]+)\.[a-z0-9]+$/i;
+
+class ContentCleanupService {
+  // Work out where an image we host lives; external URLs (e.g. TMDB) are ignored
+  resolveImage(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    if (url.startsWith('/uploads/')) {
+      // Only paths that stay inside the uploads directory are ours to delete
+      const localPath = url.replace(/^\/uploads\//, '');
+      return uploadService.resolveUploadPath(localPath) ? { type: 'local', path: localPath } : null;
+    }
+
+    const match = url.match(CLOUDINARY_URL_PATTERN);
+    if (match) {
+      return { type: 'cloudinary', publicId: match[1] };
+    }
+
+    return null;
+  }
+
+  // Every image URL referenced by a movie or series
+  collectImages(doc) {
+    const urls = [doc.posterPath, doc.backdropPath];
+
+    (doc.seasons || []).forEach(season => {
+      urls.push(season.posterPath);
+      season.episodes.forEach(episode => urls.push(episode.stillPath));
+    });
+
+    return [...new Set(urls.filter(Boolean))];
+  }
+
+  // Which of these image URLs another title (including trashed ones) still uses
+  async findSharedImages(urls, excludeId) {
+    if (urls.length === 0) return new Set();
+
+    const imageQuery = {
+      _id: { $ne: excludeId },
+      $or: [
+        { posterPath: { $in: urls } },
+        { backdropPath: { $in: urls } },
+        { 'seasons.posterPath': { $in: urls } },
+        { 'seasons.episodes.stillPath': { $in: urls } }
+      ]
+    };
+
+    const docs = (await Promise.all([Movie, Series].map(Model => Model.find(imageQuery)
+      .setOptions({ withDeleted: true })
+      .select('posterPath backdropPath seasons.posterPath seasons.episodes.stillPath')
+      .lean()))).flat();
+
+    const wanted = new Set(urls);
+    return new Set(docs.flatMap(doc => this.collectImages(doc)).filter(url => wanted.has(url)));
+  }
+
+  // Delete hosted images; failures are logged rather than aborting the delete
+  async deleteImages(urls) {
+    const summary = { deleted: 0, skipped: 0, failed: 0 };
+
+    const results = await Promise.allSettled(urls.map(async (url) => {
+      const image = this.resolveImage(url);
+      if (!image) return 'skipped';
+
+      const result = image.type === 'local'
+        ? await uploadService.deleteLocally(image.path)
+        : await uploadService.deleteFromCloudinary(image.publicId);
+
+      return result.result === 'ok' ? 'deleted' : 'skipped';
+    }));
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        summary[result.value] += 1;
+      } else {
+        summary.failed += 1;
+        console.error(`Failed to delete image ${urls[index]}:`, result.reason.message);
+      }
+    });
+
+    return summary;
+  }
+
+  // Remove records that point at a title
+  async removeReferences(contentType, contentId) {
+    const [watchlists, history, reviews, comments, likes, activity, revisions] = await Promise.all([
+      User.updateMany(
+        { 'watchlist.contentItem': contentId },
+        { $pull: { watchlist: { contentItem: contentId } } }
+      ),
+      WatchHistory.deleteMany({ contentType, contentId }),
+      Review.deleteMany({ contentType, contentId }),
+      Comment.deleteMany({ contentType, contentId }),
+      Like.deleteMany({ contentType, contentId }),
+      ContentActivity.deleteMany({ contentType, contentId }),
+      Revision.deleteMany({ contentType, contentId })
+    ]);
+
+    return {
+      watchlists: watchlists.modifiedCount,
+      history: history.deletedCount,
+      reviews: reviews.deletedCount,
+      comments: comments.deletedCount,
+      likes: likes.deletedCount,
+      activity: activity.deletedCount,
+      revisions: revisions.deletedCount
+    };
+  }
+
+  // Permanently delete a movie or series document and everything that hangs off it
+  async purge(contentType, doc) {
+    const references = await this.removeReferences(contentType, doc._id);
+    const urls = this.collectImages(doc);
+    const shared = await this.findSharedImages(urls, doc._id);
+    const images = await this.deleteImages(urls.filter(url => !shared.has(url)));
+    images.skipped += shared.size;
+
+    await doc.deleteOne();
+
+    return { references, images };
+  }
+
+  // Days a trashed title is kept before it is purged
+  getTrashRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+    return Number.isNaN(days) || days < 0 ? 30 : days;
+  }
+
+  // When a trashed title becomes eligible for purging
+  getPurgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.getTrashRetentionDays() * DAY_MS);
+  }
+
+  // Permanently delete titles that have been in the trash past the retention period
+  async purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - this.getTrashRetentionDays() * DAY_MS);
+    const summary = { movies: 0, series: 0, failed: 0 };
+
+    for (const [contentType, Model, key] of [['Movie', Movie, 'movies'], ['Series', Series, 'series']]) {
+      const expired = await Model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+      for (const doc of expired) {
+        try {
+          await this.purge(contentType, doc);
+          summary[key] += 1;
+        } catch (error) {
+          summary.failed += 1;
+          console.error(`Failed to purge ${contentType} ${doc._id}:`, error.message);
+        }
+      }
+    }
+
+    if (summary.movies || summary.series || summary.failed) {
+      console.log(`Trash purge finished: ${summary.movies} movies, ${summary.series} series, ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+}
+
+export default new ContentCleanupService();
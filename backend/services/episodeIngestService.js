@@ -0,0 +1,152 @@
+import Series from '../models/Series.js';
+import SyncLog from '../models/SyncLog.js';
+import tmdbService from './tmdbService.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class EpisodeIngestService {
+  constructor() {
+    this.requestDelay = parseInt(process.env.TMDB_SYNC_DELAY) || 250;
+    this.includeUnaired = process.env.EPISODE_INGEST_INCLUDE_UNAIRED === 'true';
+    this.running = false;
+  }
+
+  // Only episodes that have aired are ingested unless configured otherwise
+  isIngestable(episode, now) {
+    if (this.includeUnaired) return true;
+    return !!episode.airDate && episode.airDate <= now;
+  }
+
+  // Append new seasons/episodes from TMDB to a series document
+  async ingestSeries(series, { trigger = 'scheduled', userId = null } = {}) {
+    try {
+      const tmdbSeries = await tmdbService.getTVSeriesInfo(series.tmdbId);
+      const now = new Date();
+      const added = [];
+
+      for (const tmdbSeason of tmdbSeries.seasons || []) {
+        // Specials are curated by hand
+        if (tmdbSeason.season_number === 0) continue;
+
+        const existingSeason = series.seasons.find(s => s.seasonNumber === tmdbSeason.season_number);
+        if (existingSeason && existingSeason.episodes.length >= (tmdbSeason.episode_count || 0)) continue;
+
+        const seasonDetails = await tmdbService.getSeasonDetails(series.tmdbId, tmdbSeason.season_number);
+        const seasonData = tmdbService.mapSeasonData(seasonDetails);
+        await sleep(this.requestDelay);
+
+        if (existingSeason) {
+          const knownNumbers = new Set(existingSeason.episodes.map(e => e.episodeNumber));
+          const newEpisodes = seasonData.episodes
+            .filter(episode => !knownNumbers.has(episode.episodeNumber) && this.isIngestable(episode, now));
+
+          newEpisodes.forEach(episode => {
+            existingSeason.episodes.push(episode);
+            added.push({ seasonNumber: seasonData.seasonNumber, episodeNumber: episode.episodeNumber });
+          });
+          existingSeason.episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+        } else {
+          seasonData.episodes = seasonData.episodes.filter(episode => this.isIngestable(episode, now));
+          if (seasonData.episodes.length === 0) continue;
+
+          series.seasons.push(seasonData);
+          seasonData.episodes.forEach(episode => {
+            added.push({ seasonNumber: seasonData.seasonNumber, episodeNumber: episode.episodeNumber });
+          });
+        }
+      }
+
+      if (added.length > 0) {
+        series.seasons.sort((a, b) => a.seasonNumber - b.seasonNumber);
+        series.lastEpisodeAddedAt = now;
+
+        // Featured titles keep their badge
+        if (series.status !== 'Featured') {
+          series.status = 'Updated';
+        }
+        if (userId) {
+          series.lastModifiedBy = userId;
+        }
+        series.$locals.revisionAuthor = userId || null;
+        series.$locals.revisionNote = 'New episodes from TMDB';
+        await series.save();
+      }
+
+      return await SyncLog.create({
+        kind: 'episodes',
+        contentType: 'Series',
+        contentId: series._id,
+        tmdbId: series.tmdbId,
+        status: added.length > 0 ? 'updated' : 'unchanged',
+        changes: added.length > 0
+          ? [{ field: 'episodes', from: null, to: added.map(e => `S${e.seasonNumber}E${e.episodeNumber}`) }]
+          : [],
+        trigger,
+        triggeredBy: userId
+      });
+    } catch (error) {
+      console.error(`Episode ingest failed for series ${series._id}:`, error.message);
+
+      return await SyncLog.create({
+        kind: 'episodes',
+        contentType: 'Series',
+        contentId: series._id,
+        tmdbId: series.tmdbId,
+        status: 'failed',
+        error: error.message,
+        trigger,
+        triggeredBy: userId
+      });
+    }
+  }
+
+  // Ingest new episodes for a single series by ID
+  async ingestOne(id, options = {}) {
+    const series = await Series.findById(id);
+
+    if (!series) {
+      throw new Error('Series not found');
+    }
+    if (!series.tmdbId) {
+      throw new Error('Series has no TMDB ID');
+    }
+
+    return this.ingestSeries(series, options);
+  }
+
+  // Ingest new episodes for every returning series with a TMDB ID
+  async runIngest({ trigger = 'scheduled', userId = null } = {}) {
+    if (this.running) {
+      throw new Error('Episode ingest is already running');
+    }
+    if (!tmdbService.isConfigured()) {
+      throw new Error('TMDB API key not configured');
+    }
+
+    this.running = true;
+    const summary = { updated: 0, unchanged: 0, failed: 0, episodesAdded: 0 };
+
+    try {
+      const cursor = Series.find({
+        seriesStatus: 'Returning Series',
+        tmdbId: { $exists: true, $ne: null }
+      }).cursor();
+
+      for await (const series of cursor) {
+        const log = await this.ingestSeries(series, { trigger, userId });
+        summary[log.status] += 1;
+        if (log.status === 'updated') {
+          summary.episodesAdded += log.changes[0].to.length;
+        }
+        await sleep(this.requestDelay);
+      }
+
+      console.log(`Episode ingest finished: ${summary.episodesAdded} episode(s) added across ${summary.updated} series`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default new EpisodeIngestService();
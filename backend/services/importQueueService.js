@@ -0,0 +1,193 @@
+import ImportJob from '../models/ImportJob.js';
+import tmdbService from './tmdbService.js';
+
+class ImportQueueService {
+  constructor() {
+    this.pollInterval = parseInt(process.env.IMPORT_QUEUE_POLL_INTERVAL) || 5000; // 5 seconds default
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Create a queued import job
+  async enqueue({ mediaType, tmdbIds = [], pages = 1, importSeasons = false }, userId) {
+    const source = tmdbIds.length > 0 ? 'ids' : 'popular';
+
+    const job = new ImportJob({
+      mediaType,
+      source,
+      options: {
+        pages,
+        importSeasons: mediaType === 'series' && importSeasons
+      },
+      items: [...new Set(tmdbIds)].map(tmdbId => ({ tmdbId })),
+      createdBy: userId
+    });
+
+    await job.save();
+    return job;
+  }
+
+  // Start polling for queued jobs
+  async start() {
+    if (this.timer) return;
+
+    // Jobs left running by a previous process are picked up again
+    try {
+      const result = await ImportJob.updateMany(
+        { status: 'running' },
+        { status: 'queued' }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`Requeued ${result.modifiedCount} interrupted import job(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to requeue interrupted import jobs:', error);
+    }
+
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Claim and process the oldest queued job
+  async tick() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const job = await ImportJob.findOneAndUpdate(
+        { status: 'queued' },
+        {
+          status: 'running',
+          startedAt: new Date(),
+          finishedAt: null,
+          error: '',
+          $inc: { runs: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+      );
+
+      if (job) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('Import queue error:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Resolve popular pages into job items
+  async resolveItems(job) {
+    const seen = new Set();
+
+    for (let page = 1; page <= job.options.pages; page++) {
+      const data = await tmdbService.getPopular(job.mediaType, page);
+
+      for (const result of data.results) {
+        if (seen.has(result.id)) continue;
+        seen.add(result.id);
+        job.items.push({
+          tmdbId: result.id,
+          title: result.title || result.name || ''
+        });
+      }
+    }
+
+    await job.save();
+  }
+
+  // Import a single job item and record the result
+  async processItem(job, item) {
+    item.attempts += 1;
+
+    try {
+      const result = job.mediaType === 'series'
+        ? await tmdbService.importSeries(item.tmdbId, job.createdBy, { importSeasons: job.options.importSeasons })
+        : await tmdbService.importMovie(item.tmdbId, job.createdBy);
+      const content = result.movie || result.series;
+
+      item.status = 'imported';
+      item.title = content.title;
+      item.contentId = content._id;
+      item.created = result.isNew;
+      item.error = '';
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        item.status = 'skipped';
+        item.error = 'Already exists';
+      } else {
+        item.status = 'failed';
+        item.error = error.message;
+      }
+    }
+
+    item.processedAt = new Date();
+  }
+
+  // Process all pending items of a job, saving progress after each one
+  async processJob(job) {
+    try {
+      if (job.source === 'popular' && job.items.length === 0) {
+        await this.resolveItems(job);
+      }
+
+      for (const item of job.items) {
+        if (item.status !== 'pending') continue;
+
+        await this.processItem(job, item);
+        await job.save();
+      }
+
+      job.status = job.resolveStatus();
+    } catch (error) {
+      console.error(`Import job ${job._id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date();
+    await job.save();
+    return job;
+  }
+
+  // Requeue failed items of a finished job
+  async retryFailed(jobId) {
+    const job = await ImportJob.findById(jobId);
+    if (!job) {
+      throw new Error('Import job not found');
+    }
+
+    if (job.status === 'queued' || job.status === 'running') {
+      throw new Error('Import job is still in progress');
+    }
+
+    const failedItems = job.items.filter(item => item.status === 'failed');
+
+    // A job that failed before resolving its items is retried from scratch
+    if (failedItems.length === 0 && !(job.status === 'failed' && job.items.length === 0)) {
+      throw new Error('Import job has no failed items to retry');
+    }
+
+    failedItems.forEach(item => {
+      item.status = 'pending';
+      item.error = '';
+    });
+
+    job.status = 'queued';
+    job.error = '';
+    job.finishedAt = null;
+    await job.save();
+
+    return job;
+  }
+}
+
+export default new ImportQueueService();
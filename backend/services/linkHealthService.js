@@ -0,0 +1,447 @@
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import permissionService from './permissionService.js';
+
+const MODELS = { Movie, Series };
+
+// Fields needed to walk every server and download link of a title
+const LINK_FIELDS = {
+  Movie: 'title slug adminStatus addedBy servers downloadGroups._id downloadGroups.title downloadGroups.links',
+  Series: 'title slug adminStatus addedBy seasons._id seasons.seasonNumber seasons.episodes._id seasons.episodes.episodeNumber seasons.episodes.servers seasons.episodes.downloadLinks'
+};
+
+const USER_AGENT = 'MovieHubBD-LinkChecker/1.0';
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const blockedError = (host) => Object.assign(
+  new Error(`Refusing to probe private address ${host}`),
+  { code: 'EPRIVATEADDRESS' }
+);
+
+// DNS lookup that refuses private answers, so a public name can't resolve to an internal host
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isBlockedAddress)) {
+      return callback(blockedError(hostname));
+    }
+    callback(null, address, family);
+  });
+};
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+const getSettings = () => ({
+  timeoutMs: parseInt(process.env.LINK_CHECK_TIMEOUT_MS) || 10000,
+  concurrency: parseInt(process.env.LINK_CHECK_CONCURRENCY) || 5,
+  maxFailures: parseInt(process.env.LINK_CHECK_MAX_FAILURES) || 3,
+  batchSize: parseInt(process.env.LINK_CHECK_BATCH_SIZE) || 100,
+  staleAfterHours: parseInt(process.env.LINK_CHECK_STALE_HOURS) || 24,
+  allowPrivate: process.env.LINK_CHECK_ALLOW_PRIVATE === 'true'
+});
+
+// Run fn over items with at most `limit` calls in flight
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Only web links can be probed; magnet links and the like are skipped
+const isCheckable = (url) => /^https?:\/\//i.test(url || '');
+
+class LinkHealthService {
+  constructor() {
+    this.running = false;
+  }
+
+  // Throw unless the URL is a web URL that may be probed. IP literals are checked
+  // here; host names are checked when publicLookup resolves them.
+  assertProbeable(url, allowPrivate) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw Object.assign(new Error(`Unsupported protocol ${protocol}`), { code: 'EPROTOCOL' });
+    }
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(host) && isBlockedAddress(host)) {
+      throw blockedError(host);
+    }
+  }
+
+  // One request; the body is never read, only the status line and headers.
+  // Redirects are followed here so every hop gets the same address checks.
+  async request(method, url, timeoutMs) {
+    const { allowPrivate } = getSettings();
+    const started = Date.now();
+    let target = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+      this.assertProbeable(target, allowPrivate);
+
+      const response = await axios.request({
+        method,
+        url: target,
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: { 'User-Agent': USER_AGENT },
+        ...(allowPrivate ? {} : publicAgents)
+      });
+      response.data?.destroy?.();
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { statusCode: response.status, latencyMs: Date.now() - started };
+      }
+      target = new URL(location, target).toString();
+    }
+
+    throw Object.assign(new Error(`More than ${MAX_REDIRECTS} redirects`), { code: 'ETOOMANYREDIRECTS' });
+  }
+
+  // Probe a URL with HEAD, retrying with GET for hosts that reject or mishandle HEAD
+  async probe(url) {
+    const { timeoutMs } = getSettings();
+    let result = null;
+
+    for (const method of ['head', 'get']) {
+      try {
+        result = await this.request(method, url, timeoutMs);
+        if (result.statusCode < 400) {
+          return { ok: true, ...result, error: '' };
+        }
+        result.error = `HTTP ${result.statusCode}`;
+      } catch (error) {
+        result = {
+          statusCode: null,
+          latencyMs: null,
+          error: error.code === 'ECONNABORTED'
+            ? `Timed out after ${timeoutMs}ms`
+            : error.code === 'EPRIVATEADDRESS' ? error.message : error.code || error.message
+        };
+      }
+    }
+
+    return { ok: false, ...result };
+  }
+
+  // Every link of a (lean) title, with the update path and array filters that address it
+  collectLinks(contentType, doc) {
+    const links = [];
+
+    if (contentType === 'Series') {
+      (doc.seasons || []).forEach(season => {
+        (season.episodes || []).forEach(episode => {
+          const location = { seasonNumber: season.seasonNumber, episodeNumber: episode.episodeNumber };
+          const parentFilters = [{ 'season._id': season._id }, { 'episode._id': episode._id }];
+
+          [['server', 'servers'], ['download', 'downloadLinks']].forEach(([kind, field]) => {
+            (episode[field] || []).forEach(link => links.push({
+              kind,
+              link,
+              location,
+              path: `seasons.$[season].episodes.$[episode].${field}.$[link]`,
+              arrayFilters: [...parentFilters, { 'link._id': link._id }]
+            }));
+          });
+        });
+      });
+      return links;
+    }
+
+    (doc.servers || []).forEach(link => links.push({
+      kind: 'server',
+      link,
+      location: {},
+      path: 'servers.$[link]',
+      arrayFilters: [{ 'link._id': link._id }]
+    }));
+
+    (doc.downloadGroups || []).forEach(group => {
+      (group.links || []).forEach(link => links.push({
+        kind: 'download',
+        link,
+        location: { group: group.title },
+        path: 'downloadGroups.$[group].links.$[link]',
+        arrayFilters: [{ 'group._id': group._id }, { 'link._id': link._id }]
+      }));
+    });
+
+    return links;
+  }
+
+  // New health record and isActive for a link after a probe
+  applyResult(link, result, { maxFailures, now }) {
+    const previous = link.health || {};
+    const consecutiveFailures = result.ok ? 0 : (previous.consecutiveFailures || 0) + 1;
+    const isActive = link.isActive !== false;
+
+    const health = {
+      status: result.ok ? 'ok' : 'broken',
+      statusCode: result.statusCode,
+      latencyMs: result.latencyMs,
+      error: result.error,
+      consecutiveFailures,
+      lastCheckedAt: now,
+      lastOkAt: result.ok ? now : previous.lastOkAt || null,
+      autoDeactivatedAt: previous.autoDeactivatedAt || null
+    };
+
+    let change = null;
+    if (!result.ok && isActive && consecutiveFailures >= maxFailures) {
+      health.autoDeactivatedAt = now;
+      change = 'deactivated';
+    } else if (result.ok && !isActive && previous.autoDeactivatedAt) {
+      // Only links the checker switched off are switched back on
+      health.autoDeactivatedAt = null;
+      change = 'reactivated';
+    }
+
+    return {
+      health,
+      isActive: change === 'deactivated' ? false : change === 'reactivated' ? true : isActive,
+      change
+    };
+  }
+
+  // Probe every link of a lean title and store the results. `probes` caches
+  // results by URL so mirrors shared between titles are only fetched once per run.
+  async checkDocument(contentType, doc, probes = new Map()) {
+    const settings = getSettings();
+    const links = this.collectLinks(contentType, doc).filter(({ link }) => isCheckable(link.url));
+    const now = new Date();
+
+    const outcomes = await mapWithConcurrency(links, settings.concurrency, async (entry) => {
+      if (!probes.has(entry.link.url)) {
+        probes.set(entry.link.url, this.probe(entry.link.url));
+      }
+      const result = await probes.get(entry.link.url);
+      return { ...entry, ...this.applyResult(entry.link, result, { ...settings, now }) };
+    });
+
+    // Health is bookkeeping: skip timestamps and the revision hooks that save() would run
+    const operations = outcomes.map(({ path, arrayFilters, health, isActive }) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { [`${path}.health`]: health, [`${path}.isActive`]: isActive } },
+        arrayFilters,
+        timestamps: false
+      }
+    }));
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { linksCheckedAt: now } },
+        timestamps: false
+      }
+    });
+    await MODELS[contentType].bulkWrite(operations);
+
+    return outcomes.map(({ kind, link, location, health, isActive, change }) => ({
+      kind,
+      linkId: link._id,
+      name: link.name || link.label,
+      url: link.url,
+      ...location,
+      isActive,
+      change,
+      health
+    }));
+  }
+
+  // Check one movie or series now, if `user` may edit it
+  async checkOne(contentType, id, user) {
+    const doc = await MODELS[contentType].findById(id).select(LINK_FIELDS[contentType]).lean();
+    if (!doc) {
+      throw Object.assign(new Error(`${contentType} not found`), { statusCode: 404 });
+    }
+
+    // Same ownership rule as the movie and series edit routes
+    if (!permissionService.hasPermission(user, 'content.edit.any') && doc.addedBy?.toString() !== user._id.toString()) {
+      throw Object.assign(new Error('Access denied'), { statusCode: 403 });
+    }
+
+    return this.checkDocument(contentType, doc);
+  }
+
+  // Check the titles whose links were checked longest ago
+  async runCheck({ limit } = {}) {
+    if (this.running) {
+      throw new Error('Link check is already running');
+    }
+
+    this.running = true;
+    const settings = getSettings();
+    const summary = { titles: 0, links: 0, ok: 0, broken: 0, deactivated: 0, reactivated: 0 };
+    const probes = new Map();
+
+    try {
+      const cutoff = new Date(Date.now() - settings.staleAfterHours * 60 * 60 * 1000);
+      const staleQuery = {
+        $or: [
+          { linksCheckedAt: null },
+          { linksCheckedAt: { $lt: cutoff } }
+        ]
+      };
+
+      for (const contentType of ['Movie', 'Series']) {
+        const docs = await MODELS[contentType].find(staleQuery)
+          .sort({ linksCheckedAt: 1 })
+          .limit(limit || settings.batchSize)
+          .select(LINK_FIELDS[contentType])
+          .lean();
+
+        for (const doc of docs) {
+          try {
+            const results = await this.checkDocument(contentType, doc, probes);
+            summary.titles += 1;
+            results.forEach(({ health, change }) => {
+              summary.links += 1;
+              summary[health.status] += 1;
+              if (change) summary[change] += 1;
+            });
+          } catch (error) {
+            console.error(`Link check failed for ${contentType} ${doc._id}:`, error.message);
+          }
+        }
+      }
+
+      console.log(`Link check finished: ${summary.links} links in ${summary.titles} titles, ${summary.broken} broken, ${summary.deactivated} deactivated, ${summary.reactivated} reactivated`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Broken or auto-deactivated links across the catalog, worst first
+  async getBrokenLinks({ contentType = null, status = 'broken', page = 1, limit = 20 } = {}) {
+    const matches = (link) => (status === 'deactivated'
+      ? link.isActive === false && Boolean(link.health?.autoDeactivatedAt)
+      : link.health?.status === 'broken');
+
+    const linkPaths = {
+      Movie: ['servers', 'downloadGroups.links'],
+      Series: ['seasons.episodes.servers', 'seasons.episodes.downloadLinks']
+    };
+    const condition = status === 'deactivated'
+      ? { isActive: false, 'health.autoDeactivatedAt': { $ne: null } }
+      : { 'health.status': 'broken' };
+
+    const items = [];
+    for (const type of contentType ? [contentType] : ['Movie', 'Series']) {
+      const docs = await MODELS[type].find({
+        $or: linkPaths[type].map(path => ({ [path]: { $elemMatch: condition } }))
+      }).select(LINK_FIELDS[type]).lean();
+
+      docs.forEach(doc => {
+        this.collectLinks(type, doc)
+          .filter(({ link }) => matches(link))
+          .forEach(({ kind, link, location }) => items.push({
+            contentType: type,
+            contentId: doc._id,
+            title: doc.title,
+            slug: doc.slug,
+            adminStatus: doc.adminStatus,
+            kind,
+            linkId: link._id,
+            name: link.name || link.label,
+            url: link.url,
+            ...location,
+            isActive: link.isActive !== false,
+            health: link.health
+          }));
+      });
+    }
+
+    items.sort((a, b) => (b.health.consecutiveFailures - a.health.consecutiveFailures)
+      || (new Date(a.health.lastOkAt || 0) - new Date(b.health.lastOkAt || 0)));
+
+    const start = (page - 1) * limit;
+    return {
+      links: items.slice(start, start + limit),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(items.length / limit),
+        totalItems: items.length,
+        hasNextPage: start + limit < items.length,
+        hasPrevPage: page > 1,
+        limit
+      }
+    };
+  }
+
+  // Plain copy of a title or episode without deactivated links, for viewers who can't edit them
+  hideInactiveLinks(contentType, doc) {
+    const data = doc.toJSON();
+    const activeOnly = (links = []) => links.filter(link => link.isActive !== false);
+    const episodeLinks = (episode) => ({
+      ...episode,
+      servers: activeOnly(episode.servers),
+      downloadLinks: activeOnly(episode.downloadLinks)
+    });
+
+    if (contentType === 'Episode') {
+      return episodeLinks(data);
+    }
+    if (contentType === 'Series') {
+      data.seasons = (data.seasons || []).map(season => ({
+        ...season,
+        episodes: (season.episodes || []).map(episodeLinks)
+      }));
+      return data;
+    }
+
+    data.servers = activeOnly(data.servers);
+    data.downloadGroups = (data.downloadGroups || []).map(group => ({ ...group, links: activeOnly(group.links) }));
+    return data;
+  }
+}
+
+export default new LinkHealthService();
@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Transports take { from, to, subject, text, html }. Pick one with MAIL_TRANSPORT.
+const TRANSPORTS = {
+  // Print messages to the server log (development default)
+  console: () => ({
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  }),
+
+  // Write each message as a JSON file, for local inspection and tests
+  file: () => {
+    const dir = path.resolve(process.cwd(), process.env.MAIL_FILE_DIR || 'mail-outbox');
+    return {
+      async send(message) {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        return { transport: 'file', file };
+      }
+    };
+  },
+
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+// Escape user-controlled text before putting it into an HTML body
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Use a custom transport instead of the one configured by MAIL_TRANSPORT
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || 'console';
+      if (!TRANSPORTS[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      this.transport = TRANSPORTS[name]();
+    }
+    return this.transport;
+  }
+
+  // Link into the frontend app
+  getAppUrl(pathname, params = {}) {
+    const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:5173');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  async send({ to, subject, text, html }) {
+    const from = process.env.MAIL_FROM || 'MovieHubBD <no-reply@moviehubbd.com>';
+    return this.getTransport().send({ from, to, subject, text, html: html || text });
+  }
+
+  async sendPasswordReset(user, token, ttlMinutes) {
+    const link = this.getAppUrl('/reset-password', { token });
+    return this.send({
+      to: user.email,
+      subject: 'Reset your MovieHubBD password',
+      text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`
+    });
+  }
+
+  async sendEmailVerification(user, token, ttlMinutes) {
+    const link = this.getAppUrl('/verify-email', { token });
+    return this.send({
+      to: user.email,
+      subject: 'Verify your MovieHubBD email',
+      text: `Hi ${user.username},\n\nConfirm your email address to start posting reviews and comments. The link expires in ${Math.round(ttlMinutes / 60)} hours.\n\n${link}`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address to start posting reviews and comments. The link expires in ${Math.round(ttlMinutes / 60)} hours.</p><p><a href="${escapeHtml(link)}">Verify email</a></p>`
+    });
+  }
+}
+
+export default new MailService();
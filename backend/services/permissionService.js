@@ -0,0 +1,91 @@
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES, PERMISSION_NAMES } from '../config/permissions.js';
+
+// Role permissions are cached in memory so checks stay synchronous; the cache
+// is reloaded after role changes and every ROLE_CACHE_TTL_SECONDS (for other instances).
+const getCacheTtl = () => (parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 60) * 1000;
+
+const fromDefaults = () => new Map(DEFAULT_ROLES.map(role => [role.name, new Set(role.permissions)]));
+
+class PermissionService {
+  constructor() {
+    this.roles = fromDefaults();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  // Create missing default roles and keep `admin` holding every permission
+  async syncDefaultRoles() {
+    for (const role of DEFAULT_ROLES) {
+      await Role.updateOne(
+        { name: role.name },
+        role.name === 'admin'
+          ? { $set: { permissions: PERMISSION_NAMES, isSystem: true }, $setOnInsert: { description: role.description } }
+          : { $setOnInsert: role },
+        { upsert: true }
+      );
+    }
+    await this.load({ force: true });
+  }
+
+  // Reload roles from the database when the cache is stale
+  async load({ force = false } = {}) {
+    if (!force && Date.now() - this.loadedAt < getCacheTtl()) {
+      return;
+    }
+
+    if (!this.loading) {
+      this.loading = Role.find().select('name permissions').lean()
+        .then(roles => {
+          if (roles.length > 0) {
+            this.roles = new Map(roles.map(role => [role.name, new Set(role.permissions)]));
+          }
+          this.loadedAt = Date.now();
+        })
+        .catch(error => {
+          console.error('Failed to load roles:', error.message);
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+  }
+
+  // Drop the cache after a role changes
+  async invalidate() {
+    await this.load({ force: true });
+  }
+
+  roleExists(roleName) {
+    return this.roles.has(roleName);
+  }
+
+  getPermissions(roleName) {
+    return [...(this.roles.get(roleName) || [])];
+  }
+
+  // Requests made with an API key carry its scopes in user.apiKeyScopes and
+  // only get the permissions that are in both the role and the scopes
+  hasPermission(user, permission) {
+    if (!user || !this.roles.get(user.role)?.has(permission)) {
+      return false;
+    }
+    return !user.apiKeyScopes || user.apiKeyScopes.includes(permission);
+  }
+
+  // Whether `user` holds every permission of a role; users may only grant or
+  // take away roles that don't go beyond their own access
+  coversRole(user, roleName) {
+    return this.getPermissions(roleName).every(permission => this.hasPermission(user, permission));
+  }
+
+  // Users whose role grants any permission: they must use 2FA, their views
+  // aren't counted and they can post without verifying their email
+  isStaff(user) {
+    return Boolean(user && this.roles.get(user.role)?.size);
+  }
+}
+
+export default new PermissionService();
@@ -0,0 +1,172 @@
+import Revision from '../models/Revision.js';
+
+// Top-level fields that are counters, bookkeeping or derived, and never versioned
+const IGNORED_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'lastModifiedBy', 'lastSyncedAt', 'linksCheckedAt',
+  'views', 'likes', 'downloads', 'communityRating', 'communityRatingCount',
+  'numberOfEpisodes', 'deletedAt', 'deletedBy'
+]);
+
+// Keys ignored inside nested documents (seasons, episodes, servers, ...)
+const IGNORED_NESTED_FIELDS = new Set(['createdAt', 'updatedAt', 'views', 'health']);
+
+// Fields a rollback leaves alone; status changes go through the editorial workflow
+const ROLLBACK_SKIPPED_FIELDS = new Set(['adminStatus', 'publishAt', 'publishedAt', 'workflow', 'addedBy']);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isKeyedArray = (items) => items.every(item => isObject(item) && item._id);
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : String(key));
+
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+// Drop ignored keys; nested documents keep their _id so array items can be matched
+const clean = (value, isNested = false) => {
+  if (Array.isArray(value)) {
+    return value.map(item => clean(item, true));
+  }
+  if (isObject(value)) {
+    const ignored = isNested ? IGNORED_NESTED_FIELDS : IGNORED_FIELDS;
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key, item]) => !ignored.has(key) && item !== undefined)
+      .map(([key, item]) => [key, clean(item, true)]));
+  }
+  return value;
+};
+
+class RevisionService {
+  getHistoryLimit() {
+    return parseInt(process.env.REVISION_HISTORY_LIMIT) || 100;
+  }
+
+  // JSON-safe copy of the versioned fields of a movie or series
+  snapshot(doc) {
+    const plain = typeof doc.toObject === 'function'
+      ? doc.toObject({ depopulate: true, virtuals: false, versionKey: false })
+      : doc;
+
+    return clean(JSON.parse(JSON.stringify(plain)));
+  }
+
+  // Changes between two snapshots. Arrays of subdocuments are matched by _id,
+  // so editing one server shows up as servers.<id>.url rather than a whole array
+  diff(before, after, path = '') {
+    if (isEqual(before, after)) return [];
+    if (before === undefined) return [{ path, op: 'add', to: after }];
+    if (after === undefined) return [{ path, op: 'remove', from: before }];
+
+    if (isObject(before) && isObject(after)) {
+      const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+      return keys.flatMap(key => this.diff(before[key], after[key], joinPath(path, key)));
+    }
+
+    if (Array.isArray(before) && Array.isArray(after) && isKeyedArray(before) && isKeyedArray(after)) {
+      const beforeById = new Map(before.map(item => [item._id, item]));
+      const afterById = new Map(after.map(item => [item._id, item]));
+      const ids = [...new Set([...afterById.keys(), ...beforeById.keys()])];
+
+      const changes = ids.flatMap(id => this.diff(beforeById.get(id), afterById.get(id), joinPath(path, id)));
+
+      // Same items in a different order
+      const beforeOrder = before.map(item => item._id).filter(id => afterById.has(id));
+      const afterOrder = after.map(item => item._id).filter(id => beforeById.has(id));
+      if (!isEqual(beforeOrder, afterOrder)) {
+        changes.push({ path: joinPath(path, '$order'), op: 'change', from: beforeOrder, to: afterOrder });
+      }
+
+      return changes;
+    }
+
+    return [{ path, op: 'change', from: before, to: after }];
+  }
+
+  // Top-level fields touched by a list of changes
+  changedFields(changes) {
+    return [...new Set(changes.map(change => change.path.split('.')[0]))];
+  }
+
+  // Store a revision if the versioned fields changed since the last one
+  async record(contentType, doc, { action = 'update', author = null, note } = {}) {
+    const snapshot = this.snapshot(doc);
+
+    // Retry when a concurrent save takes the same version number
+    for (let attempt = 1; ; attempt += 1) {
+      const latest = await Revision.findOne({ contentId: doc._id })
+        .sort({ version: -1 })
+        .select('version snapshot')
+        .lean();
+
+      const changes = latest ? this.diff(latest.snapshot, snapshot) : [];
+      if (latest && changes.length === 0) {
+        return null;
+      }
+
+      const version = (latest?.version || 0) + 1;
+
+      try {
+        const revision = await Revision.create({
+          contentType,
+          contentId: doc._id,
+          version,
+          action,
+          author,
+          note,
+          snapshot,
+          changes,
+          changedFields: latest ? this.changedFields(changes) : Object.keys(snapshot)
+        });
+
+        await this.prune(doc._id, version);
+        return revision;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 3) throw error;
+      }
+    }
+  }
+
+  // Record without failing the save that triggered it
+  async track(contentType, doc, options) {
+    try {
+      return await this.record(contentType, doc, options);
+    } catch (error) {
+      console.error(`Failed to record revision for ${contentType} ${doc._id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Keep only the newest revisions for a title
+  async prune(contentId, latestVersion) {
+    const limit = this.getHistoryLimit();
+    if (latestVersion <= limit) return;
+
+    await Revision.deleteMany({ contentId, version: { $lte: latestVersion - limit } });
+  }
+
+  // Put a document back to the state captured in a snapshot (does not save)
+  applySnapshot(doc, snapshot) {
+    const current = this.snapshot(doc);
+
+    Object.keys(current)
+      .filter(key => !(key in snapshot) && !ROLLBACK_SKIPPED_FIELDS.has(key))
+      .forEach(key => doc.set(key, undefined));
+
+    Object.entries(snapshot)
+      .filter(([key]) => !ROLLBACK_SKIPPED_FIELDS.has(key))
+      .forEach(([key, value]) => doc.set(key, value));
+
+    return doc;
+  }
+}
+
+export default new RevisionService();
@@ -0,0 +1,62 @@
+import cron from 'node-cron';
+import tmdbService from './tmdbService.js';
+import tmdbSyncService from './tmdbSyncService.js';
+import episodeIngestService from './episodeIngestService.js';
+import contentCleanupService from './contentCleanupService.js';
+import workflowService from './workflowService.js';
+import linkHealthService from './linkHealthService.js';
+
+const tasks = [];
+
+// Register a cron task, skipping invalid expressions instead of crashing the server
+const schedule = (name, expression, handler) => {
+  if (!cron.validate(expression)) {
+    console.error(`Invalid cron expression for ${name}: "${expression}"`);
+    return;
+  }
+
+  const task = cron.schedule(expression, async () => {
+    try {
+      await handler();
+    } catch (error) {
+      console.error(`Scheduled task ${name} failed:`, error.message);
+    }
+  });
+
+  tasks.push({ name, expression, task });
+  console.log(`⏰ Scheduled ${name} (${expression})`);
+};
+
+// Start all scheduled background tasks
+export const startScheduler = () => {
+  if (process.env.NODE_ENV === 'test' || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  if (tmdbService.isConfigured() && process.env.TMDB_SYNC_ENABLED !== 'false') {
+    schedule('tmdb-sync', process.env.TMDB_SYNC_CRON || '0 3 * * *', () => tmdbSyncService.runSync());
+  }
+
+  if (tmdbService.isConfigured() && process.env.EPISODE_INGEST_ENABLED !== 'false') {
+    schedule('episode-ingest', process.env.EPISODE_INGEST_CRON || '0 */6 * * *', () => episodeIngestService.runIngest());
+  }
+
+  schedule('scheduled-publish', process.env.SCHEDULED_PUBLISH_CRON || '* * * * *', () => workflowService.publishDue());
+
+  schedule('trash-purge', process.env.TRASH_PURGE_CRON || '30 4 * * *', () => contentCleanupService.purgeExpiredTrash());
+
+  if (process.env.LINK_CHECK_ENABLED !== 'false') {
+    schedule('link-check', process.env.LINK_CHECK_CRON || '0 */2 * * *', () => linkHealthService.runCheck());
+  }
+};
+
+// Stop all scheduled background tasks
+export const stopScheduler = () => {
+  tasks.forEach(({ task }) => task.stop());
+  tasks.length = 0;
+};
+
+export default {
+  startScheduler,
+  stopScheduler
+};
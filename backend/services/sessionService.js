@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+// Error carrying the HTTP status the controller should respond with
+const sessionError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Expiry of a signed token as a Date
+const getExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const getClientInfo = (req) => ({
+  ip: req.ip || req.socket?.remoteAddress || '',
+  userAgent: (req.get('user-agent') || '').slice(0, 300)
+});
+
+class SessionService {
+  // Start a session for a freshly authenticated user and issue its tokens
+  async create(user, req) {
+    const session = new Session({
+      user: user._id,
+      refreshJti: crypto.randomUUID(),
+      ...getClientInfo(req)
+    });
+
+    const refreshToken = user.generateRefreshToken(session._id, session.refreshJti);
+    session.expiresAt = getExpiry(refreshToken);
+    await session.save();
+
+    return {
+      session,
+      accessToken: user.generateAuthToken(session._id),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new token pair. A token that was already
+  // rotated means it leaked, so the whole session is revoked.
+  async rotate(refreshToken, req) {
+    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+    if (!decoded.sid || !decoded.jti) {
+      throw sessionError('Invalid refresh token', 401);
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.user.toString() !== decoded.id || session.revokedAt) {
+      throw sessionError('Session has been revoked, please log in again', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive || user.isTokenRevoked(decoded)) {
+      await this.revoke(session._id, user?.isActive === false ? 'deactivated' : 'admin');
+      throw sessionError('Session has been revoked, please log in again', 401);
+    }
+
+    const refreshJti = crypto.randomUUID();
+    const newRefreshToken = user.generateRefreshToken(session._id, refreshJti);
+
+    // Only succeeds for the current token of a live session
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshJti: decoded.jti, revokedAt: null },
+      {
+        $set: {
+          refreshJti,
+          lastUsedAt: new Date(),
+          expiresAt: getExpiry(newRefreshToken),
+          ...getClientInfo(req)
+        }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await this.revoke(session._id, 'reuse');
+      console.warn(`Refresh token reuse detected for user ${user._id}, session ${session._id} revoked`);
+      throw sessionError('Refresh token has already been used, session revoked', 401);
+    }
+
+    return {
+      user,
+      session: rotated,
+      accessToken: user.generateAuthToken(rotated._id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  // Whether an access token's session is still live
+  async isActive(sessionId, userId) {
+    const session = await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(session);
+  }
+
+  // Live sessions of a user, most recently used first
+  async listForUser(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-refreshJti')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  // Revoke one session; pass userId to only revoke it if the user owns it
+  async revoke(sessionId, reason, userId = null) {
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) filter.user = userId;
+
+    const result = await Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every live session of one or more users, optionally keeping one
+  async revokeAllForUser(userIds, reason, { exceptSessionId = null } = {}) {
+    const filter = {
+      user: { $in: [].concat(userIds) },
+      revokedAt: null
+    };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+}
+
+export default new SessionService();
@@ -115,6 +115,16 @@ class TMDBService {
     }
   }
 
+  // Get TV series details without credits and videos
+  async getTVSeriesInfo(seriesId) {
+    try {
+      const series = await this.makeRequest(`/tv/${seriesId}`);
+      return series;
+    } catch (error) {
+      throw new Error(`Failed to get TV series info: ${error.message}`);
+    }
+  }
+
   // Get season details
   async getSeasonDetails(seriesId, seasonNumber) {
     try {
@@ -125,6 +135,17 @@ class TMDBService {
     }
   }
 
+  // Get a page of popular movies or TV series
+  async getPopular(mediaType = 'movie', page = 1) {
+    try {
+      const endpoint = mediaType === 'series' ? '/tv/popular' : '/movie/popular';
+      const data = await this.makeRequest(endpoint, { page });
+      return data;
+    } catch (error) {
+      throw new Error(`Failed to get popular ${mediaType === 'series' ? 'series' : 'movies'}: ${error.message}`);
+    }
+  }
+
   // Map TMDB movie data to our schema
   mapMovieData(tmdbMovie, userId) {
     const releaseDate = tmdbMovie.release_date ? new Date(tmdbMovie.release_date) : null;
@@ -281,8 +302,11 @@ class TMDBService {
   // Import movie from TMDB
   async importMovie(tmdbId, userId, options = {}) {
     try {
-      // Check if movie already exists
-      const existingMovie = await Movie.findOne({ tmdbId });
+      // Check if movie already exists (including the trash)
+      const existingMovie = await Movie.findOne({ tmdbId }).withDeleted();
+      if (existingMovie?.deletedAt) {
+        throw new Error('Movie already exists in the trash; restore it instead');
+      }
       if (existingMovie && !options.forceUpdate) {
         throw new Error('Movie already exists in database');
       }
@@ -294,10 +318,11 @@ class TMDBService {
       const movieData = this.mapMovieData(tmdbMovie, userId);
       
       if (existingMovie && options.forceUpdate) {
-        // Update existing movie
+        // Update existing movie (keep its publishing state and original author)
+        const { adminStatus, addedBy, ...updateData } = movieData;
         const updatedMovie = await Movie.findByIdAndUpdate(
           existingMovie._id,
-          { ...movieData, lastModifiedBy: userId },
+          { ...updateData, lastModifiedBy: userId },
           { new: true, runValidators: true }
         );
         return { movie: updatedMovie, isNew: false };
@@ -316,8 +341,11 @@ class TMDBService {
   // Import TV series from TMDB
   async importSeries(tmdbId, userId, options = {}) {
     try {
-      // Check if series already exists
-      const existingSeries = await Series.findOne({ tmdbId });
+      // Check if series already exists (including the trash)
+      const existingSeries = await Series.findOne({ tmdbId }).withDeleted();
+      if (existingSeries?.deletedAt) {
+        throw new Error('Series already exists in the trash; restore it instead');
+      }
       if (existingSeries && !options.forceUpdate) {
         throw new Error('Series already exists in database');
       }
@@ -331,7 +359,8 @@ class TMDBService {
       let series;
       if (existingSeries && options.forceUpdate) {
         // Update existing series (preserve existing seasons unless options.updateSeasons is true)
-        const updateData = { ...seriesData, lastModifiedBy: userId };
+        const { adminStatus, addedBy, ...mappedData } = seriesData;
+        const updateData = { ...mappedData, lastModifiedBy: userId };
         if (!options.updateSeasons) {
           delete updateData.seasons;
         }
@@ -410,7 +439,7 @@ class TMDBService {
 
     try {
       for (let page = 1; page <= pages; page++) {
-        const data = await this.makeRequest('/movie/popular', { page });
+        const data = await this.getPopular('movie', page);
         
         for (const movie of data.results) {
           try {
@@ -454,7 +483,7 @@ class TMDBService {
 
     try {
       for (let page = 1; page <= pages; page++) {
-        const data = await this.makeRequest('/tv/popular', { page });
+        const data = await this.getPopular('series', page);
         
         for (const series of data.results) {
           try {
@@ -0,0 +1,214 @@
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import SyncLog from '../models/SyncLog.js';
+import tmdbService from './tmdbService.js';
+
+// Fields whose source of truth is TMDB. Anything not listed here (servers,
+// downloadGroups, seoTitle, adminStatus, title/slug, ...) is admin-curated
+// and is never touched by a resync.
+const TMDB_OWNED_FIELDS = {
+  Movie: [
+    'overview',
+    'posterPath',
+    'backdropPath',
+    'releaseDate',
+    'rating',
+    'imdbRating',
+    'genres',
+    'runtime',
+    'country',
+    'language',
+    'director',
+    'cast',
+    'imdbId',
+    'trailerUrl',
+    'keywords'
+  ],
+  Series: [
+    'overview',
+    'posterPath',
+    'backdropPath',
+    'firstAirDate',
+    'lastAirDate',
+    'rating',
+    'imdbRating',
+    'genres',
+    'episodeRunTime',
+    'country',
+    'originalCountry',
+    'language',
+    'originalLanguage',
+    'networks',
+    'creators',
+    'cast',
+    'seriesStatus',
+    'imdbId',
+    'tvdbId',
+    'trailerUrl',
+    'keywords'
+  ]
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Convert a field value to a comparable plain value (drops subdocument _ids)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    return Object.keys(plain)
+      .filter(key => key !== '_id')
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = normalizeValue(plain[key]);
+        return acc;
+      }, {});
+  }
+  return value;
+};
+
+class TMDBSyncService {
+  constructor() {
+    this.batchSize = parseInt(process.env.TMDB_SYNC_BATCH_SIZE) || 50;
+    this.staleAfterHours = parseInt(process.env.TMDB_SYNC_STALE_HOURS) || 24;
+    this.requestDelay = parseInt(process.env.TMDB_SYNC_DELAY) || 250;
+    this.running = false;
+  }
+
+  // Fetch fresh TMDB data mapped to our schema
+  async fetchMappedData(contentType, tmdbId) {
+    if (contentType === 'Series') {
+      const tmdbSeries = await tmdbService.getTVSeriesDetails(tmdbId);
+      return tmdbService.mapSeriesData(tmdbSeries);
+    }
+
+    const tmdbMovie = await tmdbService.getMovieDetails(tmdbId);
+    return tmdbService.mapMovieData(tmdbMovie);
+  }
+
+  // Compute field-level changes between a document and fresh TMDB data
+  diffFields(contentType, doc, mappedData) {
+    const changes = [];
+
+    TMDB_OWNED_FIELDS[contentType].forEach(field => {
+      if (!(field in mappedData)) return;
+
+      const current = normalizeValue(doc.get(field));
+      const incoming = normalizeValue(mappedData[field]);
+
+      // Never blank out a value just because TMDB returned nothing
+      if (incoming === null || (Array.isArray(incoming) && incoming.length === 0)) return;
+
+      if (JSON.stringify(current) !== JSON.stringify(incoming)) {
+        changes.push({ field, from: current, to: incoming });
+      }
+    });
+
+    return changes;
+  }
+
+  // Resync a single movie or series document
+  async syncDocument(contentType, doc, { trigger = 'scheduled', userId = null } = {}) {
+    try {
+      const mappedData = await this.fetchMappedData(contentType, doc.tmdbId);
+      const changes = this.diffFields(contentType, doc, mappedData);
+
+      changes.forEach(({ field }) => {
+        doc.set(field, mappedData[field]);
+      });
+
+      doc.lastSyncedAt = new Date();
+      if (changes.length > 0 && userId) {
+        doc.lastModifiedBy = userId;
+      }
+      doc.$locals.revisionAuthor = userId || null;
+      doc.$locals.revisionNote = 'TMDB metadata sync';
+      await doc.save();
+
+      return await SyncLog.create({
+        contentType,
+        contentId: doc._id,
+        tmdbId: doc.tmdbId,
+        status: changes.length > 0 ? 'updated' : 'unchanged',
+        changes,
+        trigger,
+        triggeredBy: userId
+      });
+    } catch (error) {
+      console.error(`TMDB sync failed for ${contentType} ${doc._id}:`, error.message);
+
+      // Mark as synced anyway so one broken title doesn't block the queue
+      await doc.constructor.updateOne({ _id: doc._id }, { lastSyncedAt: new Date() });
+
+      return await SyncLog.create({
+        contentType,
+        contentId: doc._id,
+        tmdbId: doc.tmdbId,
+        status: 'failed',
+        error: error.message,
+        trigger,
+        triggeredBy: userId
+      });
+    }
+  }
+
+  // Resync a single item by ID
+  async syncOne(contentType, id, options = {}) {
+    const Model = contentType === 'Series' ? Series : Movie;
+    const doc = await Model.findById(id);
+
+    if (!doc) {
+      throw new Error(`${contentType} not found`);
+    }
+    if (!doc.tmdbId) {
+      throw new Error(`${contentType} has no TMDB ID`);
+    }
+
+    return this.syncDocument(contentType, doc, options);
+  }
+
+  // Resync the stalest items that have a TMDB ID
+  async runSync({ limit = this.batchSize, trigger = 'scheduled', userId = null } = {}) {
+    if (this.running) {
+      throw new Error('TMDB sync is already running');
+    }
+    if (!tmdbService.isConfigured()) {
+      throw new Error('TMDB API key not configured');
+    }
+
+    this.running = true;
+    const summary = { updated: 0, unchanged: 0, failed: 0 };
+
+    try {
+      const cutoff = new Date(Date.now() - this.staleAfterHours * 60 * 60 * 1000);
+      const staleQuery = {
+        tmdbId: { $exists: true, $ne: null },
+        $or: [
+          { lastSyncedAt: null },
+          { lastSyncedAt: { $lt: cutoff } }
+        ]
+      };
+
+      for (const [contentType, Model] of [['Movie', Movie], ['Series', Series]]) {
+        const docs = await Model.find(staleQuery)
+          .sort({ lastSyncedAt: 1 })
+          .limit(limit);
+
+        for (const doc of docs) {
+          const log = await this.syncDocument(contentType, doc, { trigger, userId });
+          summary[log.status] += 1;
+          await sleep(this.requestDelay);
+        }
+      }
+
+      console.log(`TMDB sync finished: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default new TMDBSyncService();
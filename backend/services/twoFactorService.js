@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import permissionService from './permissionService.js';
+import { buildOtpauthUri, generateSecret, verifyCode } from '../utils/totp.js';
+
+// Select string that loads the hidden two-factor fields
+export const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Error carrying the HTTP status the controller should respond with
+const twoFactorError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Backup codes are compared without case, spaces or dashes
+const hashBackupCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+class TwoFactorService {
+  // Staff (any role with permissions) can't sign in without a second factor
+  isRequired(user) {
+    return permissionService.isStaff(user);
+  }
+
+  // Challenge tokens use their own secret so they can never pass as access tokens
+  getChallengeSecret() {
+    return process.env.TWO_FACTOR_CHALLENGE_SECRET || `${process.env.JWT_SECRET}:2fa`;
+  }
+
+  // Short-lived token proving the password step of a login succeeded
+  createChallenge(user) {
+    return jwt.sign(
+      { id: user._id, purpose: '2fa' },
+      this.getChallengeSecret(),
+      { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+    );
+  }
+
+  // User a challenge token was issued to, with the two-factor fields loaded
+  async loadChallengeUser(challengeToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, this.getChallengeSecret());
+    } catch (error) {
+      throw twoFactorError('Login challenge is invalid or has expired, please log in again', 401);
+    }
+
+    const user = decoded.purpose === '2fa' ? await this.loadUser(decoded.id) : null;
+    if (!user || !user.isActive) {
+      throw twoFactorError('Login challenge is invalid or has expired, please log in again', 401);
+    }
+
+    return user;
+  }
+
+  async loadUser(userId) {
+    return User.findById(userId).select(TWO_FACTOR_FIELDS);
+  }
+
+  // Start (or restart) enrollment with a new secret. Nothing changes for
+  // the user until confirmEnrollment accepts a code for it.
+  async beginEnrollment(user) {
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUri({
+        secret,
+        account: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || 'MovieHubBD'
+      })
+    };
+  }
+
+  // Turn 2FA on once a code from the pending secret checks out.
+  // Returns the new backup codes, or null if the code is wrong.
+  async confirmEnrollment(user, code) {
+    const step = user.twoFactor.pendingSecret ? verifyCode(user.twoFactor.pendingSecret, code) : null;
+    if (step === null) {
+      return null;
+    }
+
+    const backupCodes = this.createBackupCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return backupCodes;
+  }
+
+  // Check an authenticator or backup code. Returns 'totp' or 'backup' when
+  // accepted, or null. Each code works once.
+  async verify(user, code) {
+    if (!user.twoFactor.enabled || !code) {
+      return null;
+    }
+
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    const hash = hashBackupCode(code);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    if (result.modifiedCount > 0) {
+      user.twoFactor.backupCodes = user.twoFactor.backupCodes.filter(existing => existing !== hash);
+      return 'backup';
+    }
+
+    return null;
+  }
+
+  // Replace all backup codes; returns the new plain codes
+  async regenerateBackupCodes(user) {
+    const backupCodes = this.createBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+    await user.save({ validateBeforeSave: false });
+    return backupCodes;
+  }
+
+  async disable(user) {
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      backupCodes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    };
+    await user.save({ validateBeforeSave: false });
+  }
+
+  // e.g. 3f9a1-c07be
+  createBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  getStatus(user) {
+    return {
+      enabled: user.twoFactor.enabled,
+      required: this.isRequired(user),
+      enabledAt: user.twoFactor.enabledAt,
+      backupCodesRemaining: user.twoFactor.backupCodes?.length || 0
+    };
+  }
+}
+
+export default new TwoFactorService();
@@ -366,10 +366,25 @@ class UploadService {
     }
   }
 
+  // Absolute path of a file under the uploads directory, or null if the
+  // relative path would escape it (e.g. "../../src/server.js")
+  resolveUploadPath(filePath) {
+    if (typeof filePath !== 'string' || !filePath || filePath.includes('\0')) {
+      return null;
+    }
+
+    const fullPath = path.resolve(this.uploadsDir, filePath);
+    return fullPath.startsWith(this.uploadsDir + path.sep) ? fullPath : null;
+  }
+
   // Delete file locally
   async deleteLocally(filePath) {
+    const fullPath = this.resolveUploadPath(filePath);
+    if (!fullPath) {
+      throw new Error(`Refusing to delete a file outside the uploads directory: ${filePath}`);
+    }
+
     try {
-      const fullPath = path.join(this.uploadsDir, filePath);
       await fs.unlink(fullPath);
       return { result: 'ok' };
     } catch (error) {
@@ -383,7 +398,10 @@ class UploadService {
   // Get file info
   async getFileInfo(filePath) {
     try {
-      const fullPath = path.join(this.uploadsDir, filePath);
+      const fullPath = this.resolveUploadPath(filePath);
+      if (!fullPath) {
+        throw new Error('Invalid file path');
+      }
       const stats = await fs.stat(fullPath);
       
       return {
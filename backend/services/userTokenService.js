@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import UserToken from '../models/UserToken.js';
+
+// Lifetime of each token type in minutes, overridable via env
+const TOKEN_TTLS = {
+  'password-reset': () => parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60,
+  'email-verification': () => parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES) || 60 * 24
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class UserTokenService {
+  getTtlMinutes(type) {
+    return TOKEN_TTLS[type]();
+  }
+
+  // Create a token for a user, replacing any unused one of the same type.
+  // Returns the raw token; only its hash is stored.
+  async issue(userId, type) {
+    await UserToken.deleteMany({ user: userId, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.create({
+      user: userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + this.getTtlMinutes(type) * 60 * 1000)
+    });
+
+    return token;
+  }
+
+  // Mark a valid token as used and return it, or null if it is unknown,
+  // expired or already used
+  async consume(token, type) {
+    if (!token) return null;
+
+    return UserToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Drop all unused tokens of a type for a user
+  async revokeAll(userId, type) {
+    await UserToken.deleteMany({ user: userId, type, usedAt: null });
+  }
+}
+
+export default new UserTokenService();
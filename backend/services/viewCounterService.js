@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import ViewRecord from '../models/ViewRecord.js';
+import analyticsService from './analyticsService.js';
+import permissionService from './permissionService.js';
+
+// User agents of crawlers, link unfurlers, monitors and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|quora link preview|whatsapp|telegram|discord|skype|preview|headless|phantomjs|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|python-urllib|axios|node-fetch|go-http-client|java\/|okhttp|libwww|httpclient/i;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class ViewCounterService {
+  constructor() {
+    this.windowMinutes = parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30;
+  }
+
+  isBot(userAgent) {
+    return !userAgent || BOT_PATTERN.test(userAgent);
+  }
+
+  // Stable identifier for the visitor: the user, or IP + user agent. Client-sent
+  // ids such as X-Session-Id are ignored, since a new value per request would
+  // count every request as a new visitor.
+  getVisitorId(req) {
+    if (req.user) {
+      return `user:${req.user._id}`;
+    }
+
+    return `anon:${hash(`${req.ip}|${req.get('User-Agent') || ''}`)}`;
+  }
+
+  // Whether this request should be counted at all
+  shouldCount(req) {
+    // Staff page views are previews rather than audience
+    if (permissionService.isStaff(req.user)) return false;
+    return !this.isBot(req.get('User-Agent'));
+  }
+
+  // Claim the visitor's slot for this target and event (view or download);
+  // false if already counted in the window
+  async claim(visitorId, { contentType, contentId, episodeId = null }, event = 'view') {
+    const key = hash(`${event}:${contentType}:${contentId}:${episodeId || ''}:${visitorId}`);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.windowMinutes * 60 * 1000);
+
+    try {
+      await ViewRecord.create({ key, expiresAt });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // The record may have expired but not been reaped by the TTL monitor yet
+      const result = await ViewRecord.updateOne(
+        { key, expiresAt: { $lte: now } },
+        { expiresAt }
+      );
+      return result.modifiedCount === 1;
+    }
+  }
+
+  // Atomically bump the stored view counter
+  async increment({ contentType, contentId, seasonId = null, episodeId = null }) {
+    if (episodeId) {
+      await Series.updateOne(
+        { _id: contentId },
+        { $inc: { 'seasons.$[season].episodes.$[episode].views': 1 } },
+        { arrayFilters: [{ 'season._id': seasonId }, { 'episode._id': episodeId }] }
+      );
+      return;
+    }
+
+    const Model = contentType === 'Series' ? Series : Movie;
+    await Model.updateOne({ _id: contentId }, { $inc: { views: 1 } });
+  }
+
+  async count(req, target) {
+    if (!this.shouldCount(req)) return false;
+
+    const claimed = await this.claim(this.getVisitorId(req), target);
+    if (!claimed) return false;
+
+    await this.increment(target);
+    await analyticsService.record('view', target);
+    return true;
+  }
+
+  // Fire-and-forget from request handlers so reads never wait on the write
+  track(req, target) {
+    this.count(req, target).catch(error => {
+      console.error(`Failed to count view for ${target.contentType} ${target.contentId}:`, error.message);
+    });
+  }
+}
+
+export default new ViewCounterService();
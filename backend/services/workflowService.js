@@ -0,0 +1,166 @@
+import Movie from '../models/Movie.js';
+import Series from '../models/Series.js';
+import WorkflowLog from '../models/WorkflowLog.js';
+import permissionService from './permissionService.js';
+
+// Editorial actions: which adminStatus they move from/to and the permission
+// needed to take them. Without content.edit.any users may only act on titles they added.
+export const WORKFLOW_ACTIONS = {
+  submit: { from: ['Draft'], to: 'Pending', permission: 'content.submit' },
+  withdraw: { from: ['Pending'], to: 'Draft', permission: 'content.submit' },
+  approve: { from: ['Pending'], to: 'Published', permission: 'content.publish' },
+  reject: { from: ['Pending', 'Scheduled'], to: 'Draft', permission: 'content.publish', requiresNote: true },
+  unpublish: { from: ['Published'], to: 'Draft', permission: 'content.publish' },
+  archive: { from: ['Draft', 'Pending', 'Scheduled', 'Published'], to: 'Archived', permission: 'content.submit' },
+  unarchive: { from: ['Archived'], to: 'Draft', permission: 'content.publish' },
+  // Only taken by the scheduled publisher
+  publish: { from: ['Scheduled'], to: 'Published', permission: null }
+};
+
+// Fields that only the workflow may set; stripped from generic create/update payloads
+export const WORKFLOW_FIELDS = ['adminStatus', 'publishAt', 'publishedAt', 'workflow'];
+
+const MODELS = { Movie, Series };
+
+// Error carrying the HTTP status the controller should respond with
+const workflowError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+class WorkflowService {
+  // The action that moves a title from one adminStatus to another, if any
+  findAction(from, to) {
+    return Object.keys(WORKFLOW_ACTIONS).find(action => {
+      const rule = WORKFLOW_ACTIONS[action];
+      return rule.permission && rule.from.includes(from) && rule.to === to;
+    }) || null;
+  }
+
+  // Actions the user can take on a title right now
+  getAvailableActions(doc, user) {
+    return Object.keys(WORKFLOW_ACTIONS).filter(action => !this.checkPermission(doc, action, user));
+  }
+
+  // Why the user can't take an action on a title, or null if they can
+  checkPermission(doc, action, user) {
+    const rule = WORKFLOW_ACTIONS[action];
+    if (!rule) {
+      return workflowError(`Unknown workflow action: ${action}`, 400);
+    }
+    if (!rule.permission) {
+      return workflowError(`Only the scheduler can ${action} content`, 403);
+    }
+    if (!permissionService.hasPermission(user, rule.permission)) {
+      return workflowError(`Permission required: ${rule.permission}`, 403);
+    }
+    // addedBy may be populated
+    const ownerId = doc.addedBy?._id || doc.addedBy;
+    if (!permissionService.hasPermission(user, 'content.edit.any') && ownerId?.toString() !== user._id.toString()) {
+      return workflowError('Access denied', 403);
+    }
+    if (!rule.from.includes(doc.adminStatus)) {
+      return workflowError(`Cannot ${action} content that is ${doc.adminStatus}`, 409);
+    }
+    return null;
+  }
+
+  // Apply a workflow action to a movie or series and log it.
+  // `user` is null for the scheduled publisher.
+  async transition(contentType, doc, action, user, { note = '', publishAt = null } = {}) {
+    const rule = WORKFLOW_ACTIONS[action];
+    if (!rule) {
+      throw workflowError(`Unknown workflow action: ${action}`, 400);
+    }
+
+    if (user) {
+      const denied = this.checkPermission(doc, action, user);
+      if (denied) throw denied;
+    } else if (!rule.from.includes(doc.adminStatus)) {
+      throw workflowError(`Cannot ${action} content that is ${doc.adminStatus}`, 409);
+    }
+
+    if (rule.requiresNote && !note) {
+      throw workflowError(`A note is required to ${action} content`, 400);
+    }
+
+    const now = new Date();
+    const from = doc.adminStatus;
+    let to = rule.to;
+    const update = { adminStatus: to };
+
+    if (action === 'approve' && publishAt && new Date(publishAt) > now) {
+      to = 'Scheduled';
+      update.adminStatus = to;
+      update.publishAt = new Date(publishAt);
+    } else if (to === 'Published') {
+      update.publishAt = null;
+      update.publishedAt = now;
+    } else {
+      update.publishAt = null;
+    }
+
+    if (action === 'submit') {
+      update['workflow.submittedBy'] = user._id;
+      update['workflow.submittedAt'] = now;
+    }
+    if (action === 'approve' || action === 'reject') {
+      update['workflow.reviewedBy'] = user._id;
+      update['workflow.reviewedAt'] = now;
+      update['workflow.reviewNote'] = note;
+    }
+    if (user) {
+      update.lastModifiedBy = user._id;
+    }
+
+    // Only applies if nobody moved the title in the meantime
+    const updated = await MODELS[contentType].findOneAndUpdate(
+      { _id: doc._id, adminStatus: from },
+      { $set: update },
+      { new: true, revisionAuthor: user?._id || null, revisionNote: `Workflow: ${action}` }
+    );
+
+    if (!updated) {
+      throw workflowError(`${contentType} status changed while processing, please retry`, 409);
+    }
+
+    await WorkflowLog.create({
+      contentType,
+      contentId: doc._id,
+      action,
+      from,
+      to,
+      actor: user?._id || null,
+      note,
+      publishAt: update.publishAt || null
+    });
+
+    return updated;
+  }
+
+  // Publish scheduled titles whose publishAt has passed
+  async publishDue() {
+    const summary = { movies: 0, series: 0, failed: 0 };
+    const now = new Date();
+
+    for (const [contentType, key] of [['Movie', 'movies'], ['Series', 'series']]) {
+      const due = await MODELS[contentType].find({ adminStatus: 'Scheduled', publishAt: { $lte: now } })
+        .select('adminStatus addedBy');
+
+      for (const doc of due) {
+        try {
+          await this.transition(contentType, doc, 'publish', null, { note: 'Scheduled publish' });
+          summary[key] += 1;
+        } catch (error) {
+          summary.failed += 1;
+          console.error(`Failed to publish scheduled ${contentType} ${doc._id}:`, error.message);
+        }
+      }
+    }
+
+    if (summary.movies || summary.series || summary.failed) {
+      console.log(`Scheduled publish finished: ${summary.movies} movies, ${summary.series} series, ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+}
+
+export default new WorkflowService();
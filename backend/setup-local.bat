@@ -53,9 +53,6 @@ if not exist .env (
     echo - MONGODB_URI: Your MongoDB connection string
     echo - JWT_SECRET: A strong 32+ character secret
     echo - REFRESH_TOKEN_SECRET: Another strong secret
-    echo - ADMIN_EMAIL: Your admin email
-    echo - ADMIN_PASSWORD: Your admin password
-    echo - ADMIN_SECRET_KEY: Your admin secret key
     echo.
     echo Optional but recommended:
     echo - TMDB_API_KEY: Get from https://www.themoviedb.org/settings/api
@@ -69,6 +66,9 @@ echo ===============================================
 echo   Setup Complete!
 echo ===============================================
 echo.
+echo To create the first admin account, run:
+echo   npm run create-admin
+echo.
 echo To start the development server, run:
 echo   npm run dev
 echo.
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import readline from 'readline/promises';
+import connectDB from '../../config/database.js';
+import User from '../../models/User.js';
+
+// One-time setup: create the first admin account. Once any admin exists this
+// refuses to run; further admins are promoted through /api/admin/users.
+//
+// Usage: npm run create-admin -- --email admin@example.com --username admin
+// Missing values are prompted for. The admin enrolls in 2FA at first login.
+
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const match = argv[i].match(/^--(email|username|password)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] !== undefined ? match[2] : argv[i + 1];
+      if (match[2] === undefined) i += 1;
+    }
+  }
+  return args;
+};
+
+const prompt = async (args) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const email = args.email || await rl.question('Admin email: ');
+    const username = args.username || await rl.question('Admin username: ');
+    const password = args.password || await rl.question('Admin password: ');
+    return { email: email.trim(), username: username.trim(), password };
+  } finally {
+    rl.close();
+  }
+};
+
+const createAdmin = async () => {
+  await connectDB();
+
+  if (await User.exists({ role: 'admin' })) {
+    console.error('❌ An admin account already exists. Setup is disabled; manage roles through /api/admin/users instead.');
+    return 1;
+  }
+
+  const { email, username, password } = await prompt(parseArgs(process.argv.slice(2)));
+
+  if (!PASSWORD_PATTERN.test(password)) {
+    console.error('❌ Password must be at least 8 characters and contain a lowercase letter, an uppercase letter and a number.');
+    return 1;
+  }
+
+  if (await User.exists({ $or: [{ email: email.toLowerCase() }, { username }] })) {
+    console.error('❌ A user with this email or username already exists.');
+    return 1;
+  }
+
+  const admin = await User.create({
+    username,
+    email,
+    password,
+    role: 'admin',
+    isActive: true,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+
+  console.log(`✅ Admin ${admin.username} <${admin.email}> created. Log in to set up two-factor authentication.`);
+  return 0;
+};
+
+createAdmin()
+  .then(async (code) => {
+    await mongoose.connection.close();
+    process.exit(code);
+  })
+  .catch(async (error) => {
+    console.error('❌ Failed to create admin:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
@@ -20,11 +20,29 @@ import adminRoutes from '../routes/adminRoutes.js';
 import searchRoutes from '../routes/searchRoutes.js';
 import uploadRoutes from '../routes/uploadRoutes.js';
 import contentRoutes from '../routes/contentRoutes.js';
+import tmdbRoutes from '../routes/tmdbRoutes.js';
+import analyticsRoutes from '../routes/analyticsRoutes.js';
+import meRoutes from '../routes/meRoutes.js';
+import reviewRoutes from '../routes/reviewRoutes.js';
+import commentRoutes from '../routes/commentRoutes.js';
+import revisionRoutes from '../routes/revisionRoutes.js';
+import workflowRoutes from '../routes/workflowRoutes.js';
+import userRoutes from '../routes/userRoutes.js';
+import roleRoutes from '../routes/roleRoutes.js';
+import apiKeyRoutes from '../routes/apiKeyRoutes.js';
+import linkHealthRoutes from '../routes/linkHealthRoutes.js';
 
 // Import middleware
 import { errorHandler } from '../middleware/errorHandler.js';
 import { notFound } from '../middleware/notFound.js';
 import { optionalAuth } from '../middleware/auth.js';
+import { apiKeyLimiter } from '../middleware/rateLimiter.js';
+
+// Import background services
+import importQueueService from '../services/importQueueService.js';
+import { startScheduler } from '../services/scheduler.js';
+import permissionService from '../services/permissionService.js';
+import apiKeyService from '../services/apiKeyService.js';
 
 // Load environment variables
 dotenv.config();
@@ -39,6 +57,15 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Create missing default roles and load role permissions
+permissionService.syncDefaultRoles().catch(error => {
+  console.error('Failed to sync default roles:', error.message);
+});
+
+// Start background workers
+importQueueService.start();
+startScheduler();
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
@@ -62,7 +89,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 
 app.use(cors(corsOptions));
@@ -76,11 +103,15 @@ const limiter = rateLimit({
     message: 'Too many requests from this IP, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Every comment write route carries its own per-user limiter and valid API keys a per-key one
+  skip: async (req) => (req.method !== 'GET' && req.originalUrl.startsWith('/api/comments'))
+    || (Boolean(req.get('X-API-Key')) && apiKeyService.resolve(req).then(() => true, () => false))
 });
 
 // Apply rate limiting to API routes
 app.use('/api/', limiter);
+app.use('/api/', apiKeyLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -115,10 +146,21 @@ app.use('/api/auth', authRoutes);
 app.use('/api/movies', movieRoutes);
 app.use('/api/series', seriesRoutes);
 app.use('/api/ads', adRoutes);
+app.use('/api/admin/tmdb', tmdbRoutes);
+app.use('/api/admin/workflow', workflowRoutes);
+app.use('/api/admin/users', userRoutes);
+app.use('/api/admin/roles', roleRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/links', linkHealthRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/content', contentRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/revisions', revisionRoutes);
 
 
 // 404 handler for undefined routes
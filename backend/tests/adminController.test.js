@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { getAuditLog, getTrash } from '../controllers/adminController.js';
+
+// Admin controller tests. Queries go through the real models and plugins; only
+// the round trip to MongoDB (Query#exec) is replaced.
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('adminController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getTrash', () => {
+    test('lists trashed series', async () => {
+      const deletedAt = new Date('2026-01-01T00:00:00Z');
+      const trashed = { _id: new mongoose.Types.ObjectId(), title: 'Gone Series', slug: 'gone-series', deletedAt };
+      const queries = [];
+
+      jest.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function() {
+        queries.push({ model: this.model.modelName, op: this.op, filter: this.getFilter() });
+        return this.op === 'countDocuments' ? 1 : [trashed];
+      });
+
+      const res = mockResponse();
+      await getTrash({ params: { type: 'series' }, query: { page: '1', limit: '20' } }, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.items).toEqual([expect.objectContaining({ title: 'Gone Series', purgeAt: expect.any(Date) })]);
+      expect(data.pagination).toMatchObject({ currentPage: 1, totalItems: 1, totalPages: 1 });
+
+      expect(queries.every(query => query.model === 'Series')).toBe(true);
+      expect(queries.find(query => query.op === 'find').filter).toEqual({ deletedAt: { $ne: null } });
+    });
+  });
+
+  describe('getAuditLog', () => {
+    test('matches search text literally', async () => {
+      const queries = [];
+      jest.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function() {
+        queries.push({ op: this.op, filter: this.getFilter() });
+        return this.op === 'countDocuments' ? 0 : [];
+      });
+
+      await getAuditLog({ query: { search: '(a+)+$' } }, mockResponse());
+
+      const { $or } = queries.find(query => query.op === 'find').filter;
+      expect($or).toEqual([
+        { path: { $regex: '\\(a\\+\\)\\+\\$', $options: 'i' } },
+        { actorName: { $regex: '\\(a\\+\\)\\+\\$', $options: 'i' } }
+      ]);
+    });
+
+    test('keeps exported cells from being read as formulas', async () => {
+      const entry = { action: 'users.update', actorName: '=HYPERLINK("http://x")', path: '-1+1', ip: '@host', method: 'PUT' };
+      jest.spyOn(mongoose.Query.prototype, 'exec').mockResolvedValue([entry]);
+
+      const res = mockResponse();
+      res.setHeader = jest.fn();
+      res.send = jest.fn();
+      await getAuditLog({ query: { format: 'csv' } }, res);
+
+      const [, row] = res.send.mock.calls[0][0].split('\n');
+      expect(row).toContain('"\'=HYPERLINK(""http://x"")"');
+      expect(row).toContain(",'-1+1,");
+      expect(row).toContain(",'@host,");
+      expect(row).toContain(',users.update,PUT,');
+    });
+  });
+});
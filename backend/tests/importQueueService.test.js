@@ -0,0 +1,187 @@
+import http from 'http';
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import ImportJob from '../models/ImportJob.js';
+import Movie from '../models/Movie.js';
+import importQueueService from '../services/importQueueService.js';
+import tmdbService from '../services/tmdbService.js';
+
+// Import queue tests. TMDB is a local HTTP stub and ImportJob/Movie persistence
+// is kept in memory, so no database or network access is needed.
+
+const userId = new mongoose.Types.ObjectId();
+
+// TMDB stub: movie ids listed in `failing` answer 500, everything else succeeds
+const tmdb = {
+  failing: new Set(),
+  requests: [],
+  popular: {
+    1: [{ id: 10, title: 'Ten' }, { id: 11, title: 'Eleven' }],
+    2: [{ id: 11, title: 'Eleven' }, { id: 12, title: 'Twelve' }]
+  }
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  tmdb.requests.push(url.pathname);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (url.pathname === '/movie/popular') {
+    const page = parseInt(url.searchParams.get('page'));
+    return res.end(JSON.stringify({ page, results: tmdb.popular[page] || [] }));
+  }
+
+  const [, , id, extra] = url.pathname.split('/');
+  if (tmdb.failing.has(Number(id))) {
+    res.statusCode = 500;
+    return res.end(JSON.stringify({ status_message: 'Stub failure' }));
+  }
+  if (extra === 'credits') {
+    return res.end(JSON.stringify({ cast: [], crew: [] }));
+  }
+  if (extra === 'videos') {
+    return res.end(JSON.stringify({ results: [] }));
+  }
+  res.end(JSON.stringify({ id: Number(id), title: `Movie ${id}`, release_date: '2020-01-01', overview: '' }));
+});
+
+// In-memory stand-ins for the queries the queue and the importer run
+const jobs = new Map();
+const movies = new Map();
+
+const stubPersistence = () => {
+  jest.spyOn(ImportJob.prototype, 'save').mockImplementation(async function() {
+    jobs.set(this._id.toString(), this);
+    return this;
+  });
+  jest.spyOn(ImportJob, 'findById').mockImplementation(async (id) => jobs.get(id.toString()) || null);
+  jest.spyOn(ImportJob, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = [...jobs.values()].filter(job => job.status === filter.status);
+    matched.forEach(job => job.set(update));
+    return { modifiedCount: matched.length };
+  });
+  jest.spyOn(ImportJob, 'findOneAndUpdate').mockImplementation(async (filter) => {
+    const job = [...jobs.values()].find(candidate => candidate.status === filter.status);
+    if (!job) return null;
+    job.set({ status: 'running', startedAt: new Date(), finishedAt: null, error: '', runs: job.runs + 1 });
+    return job;
+  });
+
+  jest.spyOn(Movie, 'findOne').mockImplementation((filter) => ({
+    withDeleted: async () => movies.get(filter.tmdbId) || null
+  }));
+  jest.spyOn(Movie.prototype, 'save').mockImplementation(async function() {
+    movies.set(this.tmdbId, this);
+    return this;
+  });
+};
+
+describe('importQueueService', () => {
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    tmdbService.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tmdbService.apiKey = 'test-key';
+  });
+
+  afterAll(async () => {
+    importQueueService.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jobs.clear();
+    movies.clear();
+    tmdb.failing.clear();
+    tmdb.requests = [];
+    stubPersistence();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs a queued job and records each item', async () => {
+    tmdb.failing.add(2);
+    const job = await importQueueService.enqueue({ mediaType: 'movie', tmdbIds: [1, 2, 1] }, userId);
+    expect(job.status).toBe('queued');
+    expect(job.items.map(item => item.tmdbId)).toEqual([1, 2]);
+
+    await importQueueService.tick();
+
+    expect(job.status).toBe('partial');
+    expect(job.runs).toBe(1);
+    expect(job.finishedAt).toBeInstanceOf(Date);
+    expect(job.items[0]).toMatchObject({ status: 'imported', title: 'Movie 1', created: true, attempts: 1 });
+    expect(job.items[1]).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(job.items[1].error).toMatch('Stub failure');
+  });
+
+  test('skips titles that already exist', async () => {
+    movies.set(1, new Movie({ title: 'Movie 1', tmdbId: 1, addedBy: userId }));
+    const job = await importQueueService.enqueue({ mediaType: 'movie', tmdbIds: [1] }, userId);
+
+    await importQueueService.tick();
+
+    expect(job.items[0]).toMatchObject({ status: 'skipped', error: 'Already exists' });
+    expect(job.status).toBe('succeeded');
+  });
+
+  test('resolves popular pages into unique items', async () => {
+    const job = await importQueueService.enqueue({ mediaType: 'movie', pages: 2 }, userId);
+
+    await importQueueService.tick();
+
+    expect(job.source).toBe('popular');
+    expect(job.items.map(item => item.tmdbId)).toEqual([10, 11, 12]);
+    expect(job.items.every(item => item.status === 'imported')).toBe(true);
+    expect(job.status).toBe('succeeded');
+  });
+
+  test('retries only the failed items of a finished job', async () => {
+    tmdb.failing.add(2);
+    const job = await importQueueService.enqueue({ mediaType: 'movie', tmdbIds: [1, 2] }, userId);
+    await importQueueService.tick();
+
+    tmdb.failing.clear();
+    await importQueueService.retryFailed(job._id);
+    expect(job.status).toBe('queued');
+    expect(job.items[1]).toMatchObject({ status: 'pending', error: '' });
+
+    tmdb.requests = [];
+    await importQueueService.tick();
+
+    expect(job.status).toBe('succeeded');
+    expect(job.runs).toBe(2);
+    expect(job.items[0].attempts).toBe(1);
+    expect(job.items[1]).toMatchObject({ status: 'imported', attempts: 2 });
+    expect(tmdb.requests.some(path => path.startsWith('/movie/1'))).toBe(false);
+  });
+
+  test('refuses to retry jobs that are in progress or have nothing to retry', async () => {
+    const job = await importQueueService.enqueue({ mediaType: 'movie', tmdbIds: [1] }, userId);
+    await expect(importQueueService.retryFailed(job._id)).rejects.toThrow('still in progress');
+
+    await importQueueService.tick();
+    await expect(importQueueService.retryFailed(job._id)).rejects.toThrow('no failed items');
+  });
+
+  test('requeues a job interrupted by a restart and finishes its pending items', async () => {
+    const job = await importQueueService.enqueue({ mediaType: 'movie', tmdbIds: [1, 2] }, userId);
+    job.set({ status: 'running', runs: 1 });
+    job.items[0].set({ status: 'imported', attempts: 1, title: 'Movie 1' });
+
+    await importQueueService.start();
+    importQueueService.stop();
+    expect(job.status).toBe('queued');
+
+    await importQueueService.tick();
+
+    expect(job.status).toBe('succeeded');
+    expect(job.runs).toBe(2);
+    expect(job.items[0].attempts).toBe(1);
+    expect(job.items[1]).toMatchObject({ status: 'imported', attempts: 1 });
+    expect(tmdb.requests.some(path => path.startsWith('/movie/1'))).toBe(false);
+  });
+});
@@ -0,0 +1,198 @@
+import http from 'http';
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Movie from '../models/Movie.js';
+import linkHealthService from '../services/linkHealthService.js';
+
+// Link checker tests against a local HTTP server. Private targets are allowed
+// for most tests since the server listens on loopback.
+
+const server = http.createServer((req, res) => {
+  switch (req.url) {
+    case '/ok':
+      res.writeHead(200);
+      return res.end('ok');
+    case '/no-head':
+      res.writeHead(req.method === 'HEAD' ? 405 : 200);
+      return res.end();
+    case '/gone':
+      res.writeHead(404);
+      return res.end();
+    case '/moved':
+      res.writeHead(301, { Location: '/ok' });
+      return res.end();
+    case '/loop':
+      res.writeHead(302, { Location: '/loop' });
+      return res.end();
+    case '/hang':
+      // Never answers; the checker has to give up on its own
+      return undefined;
+    default:
+      res.writeHead(500);
+      return res.end();
+  }
+});
+
+let baseUrl;
+
+describe('linkHealthService', () => {
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.LINK_CHECK_ALLOW_PRIVATE = 'true';
+    process.env.LINK_CHECK_TIMEOUT_MS = '200';
+  });
+
+  afterEach(() => {
+    delete process.env.LINK_CHECK_ALLOW_PRIVATE;
+    delete process.env.LINK_CHECK_TIMEOUT_MS;
+    jest.restoreAllMocks();
+  });
+
+  describe('probe', () => {
+    test('reports a working link', async () => {
+      const result = await linkHealthService.probe(`${baseUrl}/ok`);
+
+      expect(result).toMatchObject({ ok: true, statusCode: 200, error: '' });
+      expect(result.latencyMs).toEqual(expect.any(Number));
+    });
+
+    test('falls back to GET when HEAD is rejected', async () => {
+      const request = jest.spyOn(linkHealthService, 'request');
+
+      const result = await linkHealthService.probe(`${baseUrl}/no-head`);
+
+      expect(result).toMatchObject({ ok: true, statusCode: 200 });
+      expect(request.mock.calls.map(([method]) => method)).toEqual(['head', 'get']);
+    });
+
+    test('reports the status of a broken link', async () => {
+      const result = await linkHealthService.probe(`${baseUrl}/gone`);
+
+      expect(result).toMatchObject({ ok: false, statusCode: 404, error: 'HTTP 404' });
+    });
+
+    test('follows redirects', async () => {
+      const result = await linkHealthService.probe(`${baseUrl}/moved`);
+
+      expect(result).toMatchObject({ ok: true, statusCode: 200 });
+    });
+
+    test('gives up on redirect loops', async () => {
+      const result = await linkHealthService.probe(`${baseUrl}/loop`);
+
+      expect(result).toMatchObject({ ok: false, statusCode: null, error: 'ETOOMANYREDIRECTS' });
+    });
+
+    test('times out hosts that never answer', async () => {
+      const result = await linkHealthService.probe(`${baseUrl}/hang`);
+
+      expect(result).toMatchObject({ ok: false, statusCode: null, error: 'Timed out after 200ms' });
+    });
+
+    test('refuses private and loopback targets', async () => {
+      delete process.env.LINK_CHECK_ALLOW_PRIVATE;
+
+      for (const url of [`${baseUrl}/ok`, 'http://localhost/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/']) {
+        const result = await linkHealthService.probe(url);
+        expect(result.ok).toBe(false);
+        expect(result.error).toMatch('Refusing to probe private address');
+      }
+    });
+
+    test('checks every redirect hop', async () => {
+      delete process.env.LINK_CHECK_ALLOW_PRIVATE;
+      // The first hop is let through so the redirect to loopback is what gets refused
+      const assertProbeable = linkHealthService.assertProbeable.bind(linkHealthService);
+      jest.spyOn(linkHealthService, 'assertProbeable')
+        .mockImplementationOnce((url) => assertProbeable(url, true))
+        .mockImplementation(assertProbeable);
+
+      await expect(linkHealthService.request('get', `${baseUrl}/moved`, 200))
+        .rejects.toThrow('Refusing to probe private address 127.0.0.1');
+    });
+  });
+
+  describe('applyResult', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const ok = { ok: true, statusCode: 200, latencyMs: 10, error: '' };
+    const broken = { ok: false, statusCode: 500, latencyMs: 10, error: 'HTTP 500' };
+
+    test('counts failures without deactivating below the threshold', () => {
+      const link = { isActive: true, health: { consecutiveFailures: 1 } };
+
+      const { health, isActive, change } = linkHealthService.applyResult(link, broken, { maxFailures: 3, now });
+
+      expect(health).toMatchObject({ status: 'broken', consecutiveFailures: 2, lastCheckedAt: now });
+      expect(isActive).toBe(true);
+      expect(change).toBeNull();
+    });
+
+    test('deactivates a link at the threshold', () => {
+      const link = { isActive: true, health: { consecutiveFailures: 2 } };
+
+      const { health, isActive, change } = linkHealthService.applyResult(link, broken, { maxFailures: 3, now });
+
+      expect(health).toMatchObject({ consecutiveFailures: 3, autoDeactivatedAt: now });
+      expect(isActive).toBe(false);
+      expect(change).toBe('deactivated');
+    });
+
+    test('reactivates a link the checker switched off once it works again', () => {
+      const link = { isActive: false, health: { consecutiveFailures: 5, autoDeactivatedAt: new Date(0) } };
+
+      const { health, isActive, change } = linkHealthService.applyResult(link, ok, { maxFailures: 3, now });
+
+      expect(health).toMatchObject({ status: 'ok', consecutiveFailures: 0, lastOkAt: now, autoDeactivatedAt: null });
+      expect(isActive).toBe(true);
+      expect(change).toBe('reactivated');
+    });
+
+    test('leaves links an editor switched off alone', () => {
+      const link = { isActive: false, health: { consecutiveFailures: 0 } };
+
+      const { isActive, change } = linkHealthService.applyResult(link, ok, { maxFailures: 3, now });
+
+      expect(isActive).toBe(false);
+      expect(change).toBeNull();
+    });
+  });
+
+  describe('checkOne', () => {
+    const owner = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+    beforeEach(() => {
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        addedBy: owner._id,
+        servers: [{ _id: new mongoose.Types.ObjectId(), name: 'Main', url: `${baseUrl}/ok`, isActive: true }],
+        downloadGroups: []
+      };
+      jest.spyOn(Movie, 'findById').mockReturnValue({ select: () => ({ lean: async () => doc }) });
+      jest.spyOn(Movie, 'bulkWrite').mockResolvedValue({});
+    });
+
+    test('checks the links of a title the editor added', async () => {
+      const links = await linkHealthService.checkOne('Movie', 'id', owner);
+
+      expect(links).toHaveLength(1);
+      expect(links[0]).toMatchObject({ kind: 'server', isActive: true, health: { status: 'ok' } });
+      expect(Movie.bulkWrite).toHaveBeenCalled();
+    });
+
+    test('refuses titles added by someone else without content.edit.any', async () => {
+      const other = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+
+      await expect(linkHealthService.checkOne('Movie', 'id', other)).rejects.toMatchObject({ statusCode: 403 });
+      expect(Movie.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Series from '../models/Series.js';
+import { getWorkflowQueue } from '../controllers/workflowController.js';
+
+// Workflow controller tests. Queries go through the real models and plugins;
+// only the round trip to MongoDB (Query#exec) is replaced.
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('workflowController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getWorkflowQueue', () => {
+    const moderator = { _id: new mongoose.Types.ObjectId(), role: 'moderator' };
+    let queries;
+
+    beforeEach(() => {
+      const pending = Series.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Pending Series',
+        slug: 'pending-series',
+        adminStatus: 'Pending',
+        addedBy: moderator._id
+      });
+      queries = [];
+
+      jest.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function() {
+        queries.push({ model: this.model.modelName, op: this.op, filter: this.getFilter() });
+        return this.op === 'countDocuments' ? 1 : [pending];
+      });
+    });
+
+    test('lists the series review queue', async () => {
+      const res = mockResponse();
+      await getWorkflowQueue({ params: { type: 'series' }, query: {}, user: moderator }, res);
+
+      expect(res.status).not.toHaveBeenCalled();
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.items).toEqual([expect.objectContaining({ title: 'Pending Series', adminStatus: 'Pending' })]);
+      expect(data.items[0].availableActions).toEqual(expect.any(Array));
+      expect(data.pagination).toMatchObject({ currentPage: 1, totalItems: 1 });
+
+      expect(queries.every(query => query.model === 'Series')).toBe(true);
+    });
+
+    test('limits moderators to the series they added', async () => {
+      await getWorkflowQueue({ params: { type: 'series' }, query: { status: 'Pending' }, user: moderator }, mockResponse());
+
+      expect(queries.find(query => query.op === 'find').filter).toEqual({ adminStatus: 'Pending', addedBy: moderator._id });
+    });
+  });
+});
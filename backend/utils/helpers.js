@@ -149,6 +149,11 @@ export const isValidObjectId = (id) => {
   return mongoose.Types.ObjectId.isValid(id);
 };
 
+// Get the set of content IDs in a user's watchlist (empty for guests)
+export const getWatchlistIds = (user) => {
+  return new Set((user?.watchlist || []).map(entry => entry.contentItem.toString()));
+};
+
 // Sanitize user input
 export const sanitizeInput = (input) => {
   if (typeof input !== 'string') return input;
@@ -159,6 +164,9 @@ export const sanitizeInput = (input) => {
     .replace(/[<>]/g, ''); // Remove < and > characters
 };
 
+// Escape user input for use inside a regex
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 // Calculate content similarity score
 export const calculateSimilarity = (content1, content2) => {
   let score = 0;
@@ -320,7 +328,9 @@ export default {
   buildSortQuery,
   generateSlug,
   isValidObjectId,
+  getWatchlistIds,
   sanitizeInput,
+  escapeRegex,
   calculateSimilarity,
   formatFileSize,
   generateRandomString,
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Encode bytes as unpadded base32
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// Time step a timestamp falls in
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// Code for a secret at a given time step
+export const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching time step, or null.
+export const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+export const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};